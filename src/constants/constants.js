@@ -105,6 +105,24 @@ const VIDEO_EFFECT_PRESETS = {
   },
 };
 
+// Team presets created through the API sit alongside the built-ins above
+// and are stored in the data directory
+const CUSTOM_PRESET_LIMITS = {
+  maxPresets: 100,
+  maxDescriptionLength: 200,
+};
+
+// Rendered effect previews: short low-resolution clips, cached by effect
+// and source images
+const PREVIEW_DEFAULTS = {
+  width: 480,
+  height: 270,
+  imageDuration: 2,
+  maxImages: 4,
+};
+
+const PREVIEW_EFFECT_TYPES = ["transition", "motion", "color", "overlay"];
+
 // Video configuration defaults
 const VIDEO_CONFIG_DEFAULTS = {
   width: 1920,
@@ -117,6 +135,101 @@ const VIDEO_CONFIG_DEFAULTS = {
   transitionDuration: 0.8,
 };
 
+// Output frame sizes by aspect ratio; "custom" takes an explicit width/height
+const OUTPUT_PROFILES = {
+  "16:9": { width: 1920, height: 1080, description: "Landscape (YouTube)" },
+  "9:16": {
+    width: 1080,
+    height: 1920,
+    description: "Vertical (Shorts, Reels)",
+  },
+  "1:1": { width: 1080, height: 1080, description: "Square (feeds)" },
+  "4:5": { width: 1080, height: 1350, description: "Portrait (feeds)" },
+};
+const OUTPUT_DIMENSION_LIMITS = { min: 128, max: 3840 };
+
+// Output containers; GIF has no audio and MP3 has no picture
+const OUTPUT_FORMATS = {
+  mp4: {
+    extension: "mp4",
+    contentType: "video/mp4",
+    videoCodec: "libx264",
+    audioCodec: "aac",
+    subtitleCodec: "mov_text",
+    hasVideo: true,
+    hasAudio: true,
+  },
+  webm: {
+    extension: "webm",
+    contentType: "video/webm",
+    videoCodec: "libvpx-vp9",
+    audioCodec: "libopus",
+    subtitleCodec: "webvtt",
+    hasVideo: true,
+    hasAudio: true,
+  },
+  gif: {
+    extension: "gif",
+    contentType: "image/gif",
+    videoCodec: "gif",
+    audioCodec: null,
+    subtitleCodec: null,
+    hasVideo: true,
+    hasAudio: false,
+  },
+  mp3: {
+    extension: "mp3",
+    contentType: "audio/mpeg",
+    videoCodec: null,
+    audioCodec: "libmp3lame",
+    subtitleCodec: null,
+    hasVideo: false,
+    hasAudio: true,
+  },
+};
+
+// How an image is fitted into the output frame: cover crops to fill,
+// contain letterboxes on a solid color, blur-fill letterboxes on a blurred
+// copy of the same image
+const FIT_MODES = ["cover", "contain", "blur-fill"];
+const FIT_DEFAULTS = {
+  fit: "cover",
+  background: "#000000",
+  blurRadius: 20,
+};
+
+// GIFs are meant for short teasers
+const GIF_DEFAULTS = {
+  fps: 12,
+  maxWidth: 640,
+  maxDuration: 30,
+};
+
+// HLS renditions by the frame's short side (so "720p" of a vertical
+// video is 720x1280); bitrates are for H.264/AAC
+const HLS_RENDITIONS = {
+  "1080p": { shortSide: 1080, videoBitrate: "5000k", audioBitrate: "128k" },
+  "720p": { shortSide: 720, videoBitrate: "2800k", audioBitrate: "128k" },
+  "480p": { shortSide: 480, videoBitrate: "1400k", audioBitrate: "96k" },
+  "360p": { shortSide: 360, videoBitrate: "800k", audioBitrate: "96k" },
+};
+const HLS_DEFAULTS = {
+  segmentDuration: 6,
+  renditions: ["1080p", "720p", "480p"],
+};
+
+// Poster frame and hover-scrub sprite sheet settings.
+// posterAt is seconds into the video or "firstImage" (middle of the first
+// image's segment); sprites take one thumbnail every `spriteInterval`
+// seconds, widened so a sheet never holds more than maxSpriteThumbs
+const THUMBNAIL_DEFAULTS = {
+  posterAt: "firstImage",
+  spriteInterval: 1,
+  spriteThumbWidth: 160,
+  spriteColumns: 10,
+  maxSpriteThumbs: 100,
+};
+
 // Supported file formats
 const SUPPORTED_IMAGE_FORMATS = [
   ".jpg",
@@ -135,16 +248,134 @@ const SUPPORTED_AUDIO_FORMATS = [
   ".ogg",
   ".flac",
 ];
+const SUPPORTED_SUBTITLE_FORMATS = [".srt", ".vtt"];
+
+// Subtitle rendering options
+// burn: rendered into the picture, soft: muxed as a selectable mov_text track
+const SUBTITLE_MODES = ["burn", "soft"];
+
+// Maps to ASS numpad alignment (bottom/middle/top center)
+const SUBTITLE_POSITIONS = {
+  bottom: 2,
+  middle: 5,
+  top: 8,
+};
+
+const SUBTITLE_STYLE_DEFAULTS = {
+  font: "Arial",
+  fontSize: 24,
+  position: "bottom",
+  color: "#FFFFFF",
+  outlineColor: "#000000",
+  outline: 2,
+  marginV: 30,
+};
+
+// On-screen text (title cards and per-image captions) drawn with drawtext.
+// Positions are anchored to the frame edges `margin` pixels in; pixel sizes
+// are for a 1080-pixel-high frame; fades are seconds. Fonts are family names
+// resolved through fontconfig.
+const TEXT_POSITIONS = [
+  "top",
+  "middle",
+  "bottom",
+  "top-left",
+  "top-right",
+  "bottom-left",
+  "bottom-right",
+];
+
+const TEXT_STYLE_DEFAULTS = {
+  font: "DejaVu Sans",
+  fontSize: 48,
+  color: "#FFFFFF",
+  box: true,
+  boxColor: "#000000",
+  boxOpacity: 0.5,
+  boxPadding: 16,
+  position: "bottom",
+  margin: 60,
+  fadeIn: 0.5,
+  fadeOut: 0.5,
+};
+
+// Intro/outro cards are extra segments before and after the images;
+// "blur" uses a blurred copy of the first (intro) or last (outro) image
+const TITLE_CARD_BACKGROUNDS = ["color", "blur"];
+
+const TITLE_CARD_DEFAULTS = {
+  duration: 3,
+  maxDuration: 15,
+  background: "color",
+  backgroundColor: "#000000",
+  style: {
+    fontSize: 72,
+    position: "middle",
+    box: false,
+  },
+};
+
+const MAX_TEXT_LENGTH = 500;
+
+// Logo/watermark overlay. Offsets are pixels from the chosen corner, scale
+// is the logo width as a fraction of the video width; show-from/to times
+// are optional seconds into the video.
+const WATERMARK_POSITIONS = [
+  "top-left",
+  "top-right",
+  "bottom-left",
+  "bottom-right",
+  "center",
+];
+
+const WATERMARK_DEFAULTS = {
+  position: "bottom-right",
+  offsetX: 24,
+  offsetY: 24,
+  scale: 0.12,
+  opacity: 0.8,
+};
+
+const SUPPORTED_WATERMARK_FORMATS = [".png", ".webp"];
+
+// Background music bed defaults
+// volume is linear gain, fades are seconds, ducking uses sidechaincompress
+const MUSIC_DEFAULTS = {
+  volume: 0.25,
+  fadeIn: 2,
+  fadeOut: 3,
+  loop: true,
+  ducking: true,
+  duckingThreshold: 0.05,
+  duckingRatio: 8,
+  duckingAttack: 20,
+  duckingRelease: 400,
+};
 
 // Upload Configuration Constants
 const UPLOAD_DESTINATIONS = {
   images: "./uploads/images",
   voiceover: "./uploads/audio",
+  music: "./uploads/audio",
+  subtitles: "./uploads/subtitles",
+  watermark: "./uploads/images",
 };
 
 const ALLOWED_FILE_TYPES = {
   images: ["image/jpeg", "image/png", "image/gif", "image/bmp", "image/webp"],
   voiceover: ["audio/mpeg", "audio/wav", "audio/mp3", "audio/aac", "audio/ogg"],
+  music: ["audio/mpeg", "audio/wav", "audio/mp3", "audio/aac", "audio/ogg"],
+  // Browsers and HTTP clients rarely agree on a subtitle MIME type, so the
+  // extension is checked again by SubtitleMiddleware
+  subtitles: [
+    "application/x-subrip",
+    "text/srt",
+    "text/vtt",
+    "text/plain",
+    "application/octet-stream",
+  ],
+  // Formats that keep an alpha channel
+  watermark: ["image/png", "image/webp"],
 };
 
 const UPLOAD_FIELD_CONFIGS = [
@@ -156,8 +387,93 @@ const UPLOAD_FIELD_CONFIGS = [
     name: "voiceover",
     maxCount: parseInt(process.env.MAX_AUDIO_COUNT, 10) || 1,
   },
+  {
+    name: "music",
+    maxCount: 1,
+  },
+  {
+    name: "subtitles",
+    maxCount: 1,
+  },
+  {
+    name: "watermark",
+    maxCount: 1,
+  },
+];
+
+// Asset library uploads: images and audio stored once, found again by
+// content hash
+const ASSET_UPLOAD_DESTINATIONS = {
+  images: "./uploads/images",
+  audio: "./uploads/audio",
+};
+
+const ASSET_ALLOWED_FILE_TYPES = {
+  images: ALLOWED_FILE_TYPES.images,
+  audio: ALLOWED_FILE_TYPES.voiceover,
+};
+
+const ASSET_UPLOAD_FIELD_CONFIGS = [
+  { name: "images", maxCount: 20 },
+  { name: "audio", maxCount: 20 },
 ];
 
+// Library asset kind per upload field
+const ASSET_KINDS = {
+  images: "image",
+  audio: "audio",
+};
+
+// Entry in imageIds/voiceoverIds that stands for the next uploaded file,
+// so library and uploaded files can be put in any order
+const ASSET_UPLOAD_PLACEHOLDER = "upload";
+
+const ASSET_QUERY_DEFAULTS = {
+  page: 1,
+  limit: 20,
+  maxLimit: 100,
+};
+
+// Voiceover transcription defaults (used to group word timings into cues)
+const TRANSCRIPTION_DEFAULTS = {
+  engine: "whisper",
+  maxSegmentChars: 84,
+  maxSegmentDuration: 6,
+  maxWordGap: 0.8,
+};
+
+// How images are distributed over the voiceover
+// equal: same screen time each, perClip: image(s) follow each voiceover clip,
+// silence: equal division with cuts snapped to pauses in the narration
+const MAPPING_MODES = ["equal", "perClip", "silence"];
+
+// FFmpeg silencedetect settings (noise in dB, minDuration in seconds)
+const SILENCE_DETECTION_DEFAULTS = {
+  noise: -30,
+  minDuration: 0.3,
+};
+
+// Render job lifecycle states
+const JOB_STATUSES = {
+  QUEUED: "queued",
+  RUNNING: "running",
+  SUCCEEDED: "succeeded",
+  FAILED: "failed",
+};
+
+// Mapping history listing: render types, sortable fields and page sizes
+const MAPPING_TYPES = ["video", "effects_video"];
+
+const MAPPING_SORT_FIELDS = ["createdAt", "processingTime"];
+
+const MAPPING_QUERY_DEFAULTS = {
+  page: 1,
+  limit: 20,
+  maxLimit: 100,
+  sort: "createdAt",
+  order: "desc",
+};
+
 // Export all constants
 module.exports = {
   VIDEO_TRANSITIONS,
@@ -165,10 +481,48 @@ module.exports = {
   VIDEO_COLOR_EFFECTS,
   VIDEO_OVERLAY_EFFECTS,
   VIDEO_EFFECT_PRESETS,
+  CUSTOM_PRESET_LIMITS,
+  PREVIEW_DEFAULTS,
+  PREVIEW_EFFECT_TYPES,
   VIDEO_CONFIG_DEFAULTS,
+  OUTPUT_PROFILES,
+  OUTPUT_DIMENSION_LIMITS,
+  OUTPUT_FORMATS,
+  FIT_MODES,
+  FIT_DEFAULTS,
+  GIF_DEFAULTS,
+  HLS_RENDITIONS,
+  HLS_DEFAULTS,
+  THUMBNAIL_DEFAULTS,
   SUPPORTED_IMAGE_FORMATS,
   SUPPORTED_AUDIO_FORMATS,
+  SUPPORTED_SUBTITLE_FORMATS,
+  SUBTITLE_MODES,
+  SUBTITLE_POSITIONS,
+  SUBTITLE_STYLE_DEFAULTS,
+  TRANSCRIPTION_DEFAULTS,
+  MAPPING_MODES,
+  SILENCE_DETECTION_DEFAULTS,
+  TEXT_POSITIONS,
+  TEXT_STYLE_DEFAULTS,
+  TITLE_CARD_BACKGROUNDS,
+  TITLE_CARD_DEFAULTS,
+  MAX_TEXT_LENGTH,
+  WATERMARK_POSITIONS,
+  WATERMARK_DEFAULTS,
+  SUPPORTED_WATERMARK_FORMATS,
+  MUSIC_DEFAULTS,
   UPLOAD_DESTINATIONS,
   ALLOWED_FILE_TYPES,
   UPLOAD_FIELD_CONFIGS,
+  ASSET_UPLOAD_DESTINATIONS,
+  ASSET_ALLOWED_FILE_TYPES,
+  ASSET_UPLOAD_FIELD_CONFIGS,
+  ASSET_KINDS,
+  ASSET_UPLOAD_PLACEHOLDER,
+  ASSET_QUERY_DEFAULTS,
+  JOB_STATUSES,
+  MAPPING_TYPES,
+  MAPPING_SORT_FIELDS,
+  MAPPING_QUERY_DEFAULTS,
 };
@@ -0,0 +1,141 @@
+const fs = require("fs-extra");
+const { ResponseUtils, AssetUtils } = require("../utils");
+const { ASSET_KINDS } = require("../constants/constants");
+const { Asset } = require("../models");
+
+class AssetController {
+  /**
+   * Add uploaded images and audio to the asset library. Files are deduped
+   * by SHA-256: an upload whose contents are already in the library is
+   * discarded and the existing asset is returned instead.
+   */
+  async uploadAssets(req, res) {
+    const uploads = Object.entries(req.files || {}).flatMap(([field, files]) =>
+      files.map((file) => ({ file, kind: ASSET_KINDS[field] }))
+    );
+    const stored = new Set();
+
+    try {
+      if (uploads.length === 0) {
+        return ResponseUtils.send(
+          res,
+          ResponseUtils.validationError(
+            "Upload at least one file in the images or audio field"
+          )
+        );
+      }
+
+      const assets = [];
+      const errors = [];
+
+      for (const { file, kind } of uploads) {
+        const sha256 = await AssetUtils.hashFile(file.path);
+
+        // Known contents skip the probe; Asset.addToLibrary checks again
+        // inside the store's write queue
+        const known = Asset.findBySha256(sha256);
+        let metadata = known?.metadata || null;
+        if (!known) {
+          try {
+            metadata = await AssetUtils.probeMetadata(file.path, kind);
+          } catch (probeError) {
+            await fs.remove(file.path);
+            errors.push(
+              `Could not read ${file.originalname}: ${probeError.message}`
+            );
+            continue;
+          }
+        }
+
+        const { asset, duplicate } = await Asset.addToLibrary({
+          kind,
+          filename: file.filename,
+          originalName: file.originalname,
+          mimeType: file.mimetype,
+          size: file.size,
+          path: file.path,
+          sha256,
+          metadata,
+        });
+
+        if (duplicate) {
+          await fs.remove(file.path);
+        } else {
+          stored.add(file.path);
+        }
+        assets.push({ ...asset, duplicate });
+      }
+
+      if (errors.length > 0 && assets.length === 0) {
+        return ResponseUtils.send(res, ResponseUtils.validationError(errors));
+      }
+
+      const created = assets.filter((asset) => !asset.duplicate).length;
+      const data = {
+        assets,
+        created,
+        duplicates: assets.length - created,
+        errors,
+      };
+
+      return ResponseUtils.send(
+        res,
+        created > 0
+          ? ResponseUtils.created(data, "Assets uploaded successfully")
+          : ResponseUtils.success(data, "Assets already in the library")
+      );
+    } catch (error) {
+      // Uploads not yet stored as assets would be orphaned
+      await Promise.all(
+        uploads
+          .filter(({ file }) => !stored.has(file.path))
+          .map(({ file }) => fs.remove(file.path).catch(() => {}))
+      );
+      return ResponseUtils.send(
+        res,
+        ResponseUtils.error("Asset upload failed", 500, {
+          originalError: error.message,
+        })
+      );
+    }
+  }
+
+  async listAssets(req, res) {
+    try {
+      const query = AssetUtils.resolveAssetQuery(req.query);
+      if (!query.isValid) {
+        return ResponseUtils.send(
+          res,
+          ResponseUtils.validationError(query.errors)
+        );
+      }
+
+      const assets = Asset.findLibrary()
+        .filter((asset) => AssetUtils.matchesQuery(asset, query))
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+      const start = (query.page - 1) * query.limit;
+
+      return ResponseUtils.send(
+        res,
+        ResponseUtils.paginated(
+          assets.slice(start, start + query.limit),
+          query.page,
+          query.limit,
+          assets.length,
+          assets.length > 0
+            ? "Assets retrieved successfully"
+            : "No assets found"
+        )
+      );
+    } catch (error) {
+      return ResponseUtils.send(
+        res,
+        ResponseUtils.error("Failed to get assets", 500, {
+          originalError: error.message,
+        })
+      );
+    }
+  }
+}
+
+module.exports = AssetController;
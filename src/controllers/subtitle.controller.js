@@ -0,0 +1,40 @@
+const path = require("path");
+const { ResponseUtils, DirectoryUtils } = require("../utils");
+
+const SUBTITLE_CONTENT_TYPES = {
+  ".srt": "application/x-subrip; charset=utf-8",
+  ".vtt": "text/vtt; charset=utf-8",
+};
+
+class SubtitleController {
+  async downloadSubtitle(req, res) {
+    try {
+      const filename = path.basename(req.params.filename);
+      const extension = DirectoryUtils.getFileExtension(filename);
+
+      if (!SUBTITLE_CONTENT_TYPES[extension]) {
+        return ResponseUtils.send(res, ResponseUtils.notFound("Subtitle file"));
+      }
+
+      const { outputSubtitles } = DirectoryUtils.getUploadDirsFromEnv();
+      const subtitlePath = path.join(outputSubtitles, filename);
+
+      const fileExists = await DirectoryUtils.fileExists(subtitlePath);
+      if (!fileExists) {
+        return ResponseUtils.send(res, ResponseUtils.notFound("Subtitle file"));
+      }
+
+      res.setHeader("Content-Type", SUBTITLE_CONTENT_TYPES[extension]);
+      return res.sendFile(path.resolve(subtitlePath));
+    } catch (error) {
+      return ResponseUtils.send(
+        res,
+        ResponseUtils.error("Subtitle download failed", 500, {
+          originalError: error.message,
+        })
+      );
+    }
+  }
+}
+
+module.exports = SubtitleController;
@@ -7,7 +7,31 @@ const {
   AudioUtils,
   ResponseUtils,
   DirectoryUtils,
+  JobUtils,
+  SubtitleUtils,
+  TranscriptionUtils,
+  TimelineUtils,
+  RequestUtils,
+  HlsUtils,
+  ThumbnailUtils,
+  FramingUtils,
+  TextOverlayUtils,
+  WatermarkUtils,
+  PresetUtils,
+  PreviewUtils,
+  MappingUtils,
+  AssetUtils,
 } = require("../utils");
+const {
+  JOB_STATUSES,
+  OUTPUT_PROFILES,
+  GIF_DEFAULTS,
+  CUSTOM_PRESET_LIMITS,
+  PREVIEW_EFFECT_TYPES,
+  PREVIEW_DEFAULTS,
+  ASSET_KINDS,
+} = require("../constants/constants");
+const { Asset, Project, Render } = require("../models");
 
 try {
   const ffmpegPath = require("@ffmpeg-installer/ffmpeg").path;
@@ -32,157 +56,271 @@ try {
   }
 }
 
+// Errors thrown inside a job carry their validation messages as details
+function createValidationError(errors) {
+  const error = new Error("Invalid video inputs");
+  error.name = "ValidationError";
+  error.details = errors;
+  return error;
+}
+
 class VideoController {
   async generateVideo(req, res) {
     try {
-      const startTime = Date.now();
-
       const { images, voiceover } = req.videoData;
 
+      const outputValidation = VideoUtils.validateOutputCombination(
+        req.videoData
+      );
+      if (!outputValidation.isValid) {
+        return ResponseUtils.send(
+          res,
+          ResponseUtils.validationError(outputValidation.errors)
+        );
+      }
+
       console.log(
-        `Processing ${images.length} images with ${voiceover.length} voiceover file(s)`
+        `Queueing ${images.length} images with ${voiceover.length} voiceover file(s)`
       );
 
-      const imagePaths = images.map((img) => img.path);
+      const job = JobUtils.createJob("video", {
+        imageCount: images.length,
+        audioCount: voiceover.length,
+      });
 
-      // Handle multiple audio files - concatenate if needed
-      let finalAudioPath;
-      let audioDuration;
+      JobUtils.enqueue(job, (currentJob) =>
+        this.processVideoJob(currentJob, req.videoData)
+      );
 
-      if (voiceover.length === 1) {
-        // Single audio file
-        finalAudioPath = voiceover[0].path;
-        audioDuration = await VideoUtils.estimateAudioDuration(
-          finalAudioPath,
-          60
-        );
-      } else {
-        // Multiple audio files - concatenate them
-        console.log(`🎵 Concatenating ${voiceover.length} audio files...`);
+      return ResponseUtils.send(
+        res,
+        ResponseUtils.fileProcessing(job.id, "Video generation queued", {
+          status: job.status,
+          statusUrl: `/api/video/jobs/${job.id}`,
+          eventsUrl: `/api/video/jobs/${job.id}/events`,
+          ...(req.videoData.rerender && {
+            revisionOf: req.videoData.rerender.revisionOf,
+          }),
+        })
+      );
+    } catch (error) {
+      console.error("Video generation error:", error);
+      return ResponseUtils.send(
+        res,
+        ResponseUtils.error("Video generation failed", 500, {
+          originalError: error.message,
+        })
+      );
+    }
+  }
 
-        const audioPaths = voiceover.map((audio) => audio.path);
-        const concatenatedFilename = AudioUtils.createSafeAudioFilename(
-          "concatenated_voiceover"
-        );
-        const concatenatedPath = path.join(
-          "./uploads/audio",
-          concatenatedFilename
-        );
+  async processVideoJob(job, videoData) {
+    const startTime = Date.now();
 
-        const concatenationResult = await AudioUtils.concatenateAudioFiles(
-          audioPaths,
-          concatenatedPath,
-          {
-            fadeTransition: 0.5, // 500ms smooth transition between audio files
-            normalizeLevels: true,
-          }
-        );
+    const { images, voiceover } = videoData;
 
-        finalAudioPath = concatenationResult.outputPath;
-        audioDuration = concatenationResult.totalDuration;
+    console.log(
+      `Processing ${images.length} images with ${voiceover.length} voiceover file(s)`
+    );
 
-        console.log(
-          `✅ Audio concatenation completed. Total duration: ${audioDuration}s`
-        );
-      }
+    const imagePaths = images.map((img) => img.path);
 
-      const validation = await VideoUtils.validateVideoInputs(
-        imagePaths,
-        finalAudioPath
+    JobUtils.setStage(job.id, "preparing_audio");
+
+    const { finalAudioPath, audioDuration, clipDurations } =
+      await this.prepareVoiceover(
+        voiceover,
+        "concatenated_voiceover",
+        videoData.clipDurations
       );
 
-      if (!validation.isValid) {
-        return ResponseUtils.send(
-          res,
-          ResponseUtils.validationError(validation.errors)
-        );
-      }
+    const validation = await VideoUtils.validateVideoInputs(
+      imagePaths,
+      finalAudioPath
+    );
+
+    if (!validation.isValid) {
+      throw createValidationError(validation.errors);
+    }
+
+    console.log(`Audio duration: ${audioDuration} seconds`);
 
-      console.log(`Audio duration: ${audioDuration} seconds`);
+    this.validateOutputDuration(
+      videoData.output,
+      audioDuration,
+      videoData.watermark
+    );
 
-      const outputFilename =
-        VideoUtils.createSafeVideoFilename("generated_video");
-      const outputPath = path.join("./output/videos", outputFilename);
+    const outputFilename = VideoUtils.createSafeVideoFilename(
+      "generated_video",
+      VideoUtils.getOutputFormat(videoData.output?.format).extension
+    );
+    const outputPath = path.join("./output/videos", outputFilename);
 
-      const durationPerImage = audioDuration / images.length;
+    const { mappingMode, timeline, silenceDetection } =
+      await this.buildTimeline(
+        videoData,
+        finalAudioPath,
+        audioDuration,
+        clipDurations
+      );
 
+    const transcript = await this.transcribeVoiceover(
+      job,
+      videoData.transcription,
+      finalAudioPath,
+      audioDuration,
+      path.parse(outputFilename).name
+    );
+
+    const subtitleData = this.resolveSubtitleSource(
+      videoData.subtitles,
+      transcript
+    );
+    const subtitles = await this.prepareSubtitles(
+      subtitleData,
+      audioDuration,
+      path.parse(outputFilename).name
+    );
+
+    const music = await this.prepareMusic(videoData.music);
+    const framing = await this.prepareFraming(imagePaths, videoData.focus);
+
+    JobUtils.setStage(job.id, "rendering");
+
+    if (videoData.output?.format === "mp3") {
+      await this.createAudioExport(
+        finalAudioPath,
+        outputPath,
+        audioDuration,
+        { music },
+        (progressInfo) => JobUtils.setProgress(job.id, progressInfo)
+      );
+    } else {
       await this.createVideoWithImages(
         images,
         finalAudioPath,
         outputPath,
-        durationPerImage
-      );
-
-      const processingTime = Date.now() - startTime;
-
-      const mapping = {
-        id: Date.now(),
-        timestamp: new Date().toISOString(),
-        images: images.map((img) => ({
-          filename: img.filename,
-          originalName: img.originalname,
-          size: img.size,
-        })),
-        voiceover:
-          voiceover.length === 1
-            ? {
-                filename: voiceover[0].filename,
-                originalName: voiceover[0].originalname,
-                size: voiceover[0].size,
-                duration: audioDuration,
-              }
-            : {
-                type: "concatenated",
-                sourceFiles: voiceover.map((audio) => ({
-                  filename: audio.filename,
-                  originalName: audio.originalname,
-                  size: audio.size,
-                })),
-                totalDuration: audioDuration,
-                concatenatedFile: path.basename(finalAudioPath),
-              },
-        output: {
-          filename: outputFilename,
-          path: outputPath,
-        },
-        processingTime: `${processingTime}ms`,
-        settings: {
-          durationPerImage: `${(audioDuration / images.length).toFixed(2)}s`,
-          totalImages: images.length,
-          totalAudioFiles: voiceover.length,
+        TimelineUtils.getDurations(timeline),
+        {
+          subtitles,
+          music,
+          watermark: videoData.watermark,
+          output: videoData.output,
+          fit: videoData.fit,
+          ...framing,
         },
-      };
-
-      await this.saveMappingInfo(mapping);
-
-      return ResponseUtils.send(
-        res,
-        ResponseUtils.success(
-          {
-            videoFile: outputFilename,
-            downloadUrl: `/api/video/download/${outputFilename}`,
-            previewUrl: `/api/video/preview/${outputFilename}`,
-            processingTime: `${processingTime}ms`,
-            mapping: mapping,
-          },
-          "Video generated successfully"
-        )
-      );
-    } catch (error) {
-      console.error("Video generation error:", error);
-      return ResponseUtils.send(
-        res,
-        ResponseUtils.error("Video generation failed", 500, {
-          originalError: error.message,
-        })
+        (progressInfo) => JobUtils.setProgress(job.id, progressInfo)
       );
     }
+
+    const hls = await this.packageStream(job, videoData.output, outputPath);
+    const thumbnails = await this.generateThumbnails(
+      job,
+      videoData.output,
+      outputPath,
+      timeline
+    );
+
+    JobUtils.setStage(job.id, "saving");
+
+    const processingTime = Date.now() - startTime;
+
+    const mapping = {
+      jobId: job.id,
+      timestamp: new Date().toISOString(),
+      type: "video",
+      images: images.map((img) => ({
+        filename: img.filename,
+        originalName: img.originalname,
+        size: img.size,
+      })),
+      voiceover:
+        voiceover.length === 1
+          ? {
+              filename: voiceover[0].filename,
+              originalName: voiceover[0].originalname,
+              size: voiceover[0].size,
+              duration: audioDuration,
+            }
+          : {
+              type: "concatenated",
+              sourceFiles: voiceover.map((audio, index) => ({
+                filename: audio.filename,
+                originalName: audio.originalname,
+                size: audio.size,
+                duration: clipDurations[index],
+              })),
+              totalDuration: audioDuration,
+              concatenatedFile: path.basename(finalAudioPath),
+            },
+      subtitles: this.buildSubtitleMapping(subtitleData, subtitles),
+      transcript: this.buildTranscriptMapping(transcript),
+      music: this.buildMusicMapping(videoData.music, music),
+      watermark: this.buildWatermarkMapping(videoData.watermark),
+      output: {
+        filename: outputFilename,
+        path: outputPath,
+        ...videoData.output,
+        hls,
+        thumbnails,
+      },
+      processingTime: `${processingTime}ms`,
+      timeline,
+      silenceDetection: silenceDetection || null,
+      settings: {
+        mappingMode,
+        durationPerImage:
+          mappingMode === "equal"
+            ? `${(audioDuration / images.length).toFixed(2)}s`
+            : "variable",
+        totalImages: images.length,
+        totalAudioFiles: voiceover.length,
+        fit: videoData.fit,
+        focus: framing.focus,
+      },
+    };
+
+    const render = await this.saveMappingInfo(mapping, videoData);
+
+    return {
+      videoFile: outputFilename,
+      downloadUrl: `/api/video/download/${outputFilename}`,
+      previewUrl: `/api/video/preview/${outputFilename}`,
+      streamUrl: hls?.streamUrl || null,
+      posterUrl: thumbnails?.posterUrl || null,
+      spriteUrl: thumbnails?.spriteUrl || null,
+      spriteVttUrl: thumbnails?.spriteVttUrl || null,
+      processingTime: `${processingTime}ms`,
+      mapping: render,
+    };
   }
 
-  async createVideoWithImages(images, audioPath, outputPath, durationPerImage) {
+  async createVideoWithImages(
+    images,
+    audioPath,
+    outputPath,
+    imageDurations,
+    options = {},
+    onProgress = null
+  ) {
     return new Promise((resolve, reject) => {
       const command = ffmpeg();
-      const totalDuration = durationPerImage * images.length;
+      const totalDuration = imageDurations.reduce(
+        (sum, duration) => sum + duration,
+        0
+      );
+      const {
+        subtitles,
+        music,
+        watermark,
+        fit,
+        focus = [],
+        imageSizes = [],
+      } = options;
+      const { width, height } = options.output || OUTPUT_PROFILES["16:9"];
+      const formatName = options.output?.format || "mp4";
+      const format = VideoUtils.getOutputFormat(formatName);
 
       images.forEach((image) => {
         command.addInput(image.path);
@@ -190,40 +328,139 @@ class VideoController {
 
       command.addInput(audioPath);
 
+      // Optional inputs follow the voiceover: music, soft subtitles, then
+      // the watermark
+      let nextInputIndex = images.length + 1;
+
+      const musicInputIndex = music ? nextInputIndex++ : null;
+      if (music) {
+        command.addInput(music.path);
+        if (music.loop) {
+          command.inputOptions(["-stream_loop", "-1"]);
+        }
+      }
+
+      const subtitleInputIndex =
+        subtitles?.mode === "soft" ? nextInputIndex++ : null;
+      if (subtitleInputIndex !== null) {
+        command.addInput(subtitles.path);
+      }
+
+      const watermarkInputIndex = watermark ? nextInputIndex++ : null;
+      if (watermark) {
+        command.addInput(watermark.path);
+      }
+
       let filterComplex = "";
       let inputLabels = [];
 
       images.forEach((image, index) => {
-        const scale = `[${index}:v]scale=1920:1080:force_original_aspect_ratio=increase,crop=1920:1080,setpts=PTS-STARTPTS[v${index}scaled];`;
-
-        const durationInFrames = Math.ceil(durationPerImage * 25);
-        const kenburns = `[v${index}scaled]zoompan=z='min(zoom+0.0015,1.5)':d=${durationInFrames}:x='iw/2-(iw/zoom/2)':y='ih/2-(ih/zoom/2)':s=1920x1080:fps=25,setpts=PTS-STARTPTS[v${index}];`;
+        const fitMode = VideoUtils.getImageFit(fit, index);
+        const scale = `${VideoUtils.generateFitFilter(
+          `[${index}:v]`,
+          fitMode,
+          width,
+          height,
+          `[v${index}scaled]`,
+          {
+            background: fit?.background,
+            labelPrefix: `fit${index}`,
+            focus: focus[index],
+          }
+        )};`;
+
+        const durationInFrames = Math.ceil(imageDurations[index] * 25);
+        const zoompan = FramingUtils.getZoompanExpressions(
+          FramingUtils.getFraming(
+            imageSizes[index],
+            width,
+            height,
+            fitMode,
+            focus[index]
+          ),
+          "min(zoom+0.0015,1.5)",
+          durationInFrames
+        );
+        const kenburns = `[v${index}scaled]zoompan=z='${zoompan.z}':d=${durationInFrames}:x='${zoompan.x}':y='${zoompan.y}':s=${width}x${height}:fps=25,setpts=PTS-STARTPTS[v${index}];`;
 
         filterComplex += scale + kenburns;
         inputLabels.push(`[v${index}]`);
       });
 
+      // Stages after the concat, in order; the last one writes [outv]
+      const finishingStages = [];
+      if (subtitles?.mode === "burn") {
+        finishingStages.push((input, output) =>
+          SubtitleUtils.generateBurnFilter(
+            input,
+            subtitles.path,
+            subtitles.style,
+            output
+          )
+        );
+      }
+      // The logo goes over everything else
+      if (watermark) {
+        finishingStages.push((input, output) =>
+          WatermarkUtils.generateWatermarkFilter(
+            input,
+            watermarkInputIndex,
+            watermark.options,
+            width,
+            output
+          )
+        );
+      }
+      if (formatName === "gif") {
+        finishingStages.push((input, output) =>
+          VideoUtils.generateGifFilter(input, width, output)
+        );
+      }
+
       filterComplex += `${inputLabels.join("")}concat=n=${
         images.length
-      }:v=1:a=0[outv]`;
+      }:v=1:a=0${finishingStages.length > 0 ? "[joined]" : "[outv]"}`;
+
+      let stageInput = "[joined]";
+      finishingStages.forEach((stage, index) => {
+        const stageOutput =
+          index === finishingStages.length - 1 ? "[outv]" : `[stage${index}]`;
+        filterComplex += `;${stage(stageInput, stageOutput)}`;
+        stageInput = stageOutput;
+      });
+
+      if (music) {
+        filterComplex += `;${AudioUtils.generateMusicMixFilters(
+          `[${images.length}:a]`,
+          `[${musicInputIndex}:a]`,
+          music,
+          totalDuration
+        ).join(";")}`;
+      }
+
+      const subtitleOptions =
+        subtitleInputIndex !== null
+          ? SubtitleUtils.getSoftSubtitleOptions(
+              subtitleInputIndex,
+              "eng",
+              format.subtitleCodec
+            )
+          : [];
 
       command
         .complexFilter(filterComplex)
         .outputOptions([
           "-map",
           "[outv]",
-          "-map",
-          `${images.length}:a`,
-          "-c:v",
-          "libx264",
-          "-c:a",
-          "aac",
-          "-preset",
-          "medium",
-          "-crf",
-          "23",
-          "-r",
-          "25",
+          ...(format.hasAudio
+            ? ["-map", music ? "[outa]" : `${images.length}:a`]
+            : []),
+          ...subtitleOptions,
+          ...VideoUtils.getEncodingOptions(formatName, {
+            preset: "medium",
+            crf: 23,
+            fps: 25,
+          }),
           "-t",
           totalDuration.toString(),
         ])
@@ -231,27 +468,23 @@ class VideoController {
         .on("start", (commandLine) => {
           console.log("FFmpeg command:", commandLine);
           console.log(
-            `📊 Time distribution: ${
-              images.length
-            } images × ${durationPerImage.toFixed(
-              2
-            )}s each = ${totalDuration.toFixed(2)}s total`
+            `📊 Time distribution: ${imageDurations
+              .map((duration) => `${duration.toFixed(2)}s`)
+              .join(" + ")} = ${totalDuration.toFixed(2)}s total`
           );
         })
-        .on("progress", (progress) => {
-          let percentage = 0;
-          if (progress.timemark && totalDuration > 0) {
-            const timemarkSeconds = VideoUtils.parseTimemark(progress.timemark);
-            percentage = Math.round((timemarkSeconds / totalDuration) * 100);
-            percentage = Math.min(percentage, 100);
-          }
+        .on(
+          "progress",
+          VideoUtils.createProgressCallback((progressInfo) => {
+            console.log(
+              `Processing: ${progressInfo.percentage}% done (${
+                progressInfo.timemark || "calculating..."
+              })`
+            );
 
-          console.log(
-            `Processing: ${percentage}% done (${
-              progress.timemark || "calculating..."
-            })`
-          );
-        })
+            if (onProgress) onProgress(progressInfo);
+          }, totalDuration)
+        )
         .on("end", () => {
           console.log("Video generation completed");
           resolve();
@@ -264,21 +497,533 @@ class VideoController {
     });
   }
 
-  async saveMappingInfo(mapping) {
-    const mappingsFile = "./output/mappings.json";
-    let mappings = [];
+  // Audio-only export of the voiceover (and music bed) for mp3 output
+  async createAudioExport(
+    audioPath,
+    outputPath,
+    totalDuration,
+    options = {},
+    onProgress = null
+  ) {
+    return new Promise((resolve, reject) => {
+      const { music } = options;
+      const command = ffmpeg().addInput(audioPath);
 
-    try {
-      if (await fs.pathExists(mappingsFile)) {
-        const data = await fs.readFile(mappingsFile, "utf8");
-        mappings = JSON.parse(data);
+      if (music) {
+        command.addInput(music.path);
+        if (music.loop) {
+          command.inputOptions(["-stream_loop", "-1"]);
+        }
+        command.complexFilter(
+          AudioUtils.generateMusicMixFilters(
+            "[0:a]",
+            "[1:a]",
+            music,
+            totalDuration
+          )
+        );
       }
+
+      command
+        .outputOptions([
+          "-map",
+          music ? "[outa]" : "0:a",
+          ...VideoUtils.getEncodingOptions("mp3", {}),
+          "-t",
+          totalDuration.toString(),
+        ])
+        .output(outputPath)
+        .on("start", (commandLine) => {
+          console.log("FFmpeg command:", commandLine);
+        })
+        .on(
+          "progress",
+          VideoUtils.createProgressCallback((progressInfo) => {
+            if (onProgress) onProgress(progressInfo);
+          }, totalDuration)
+        )
+        .on("end", () => {
+          console.log("Audio export completed");
+          resolve();
+        })
+        .on("error", (err) => {
+          console.error("FFmpeg error:", err);
+          reject(err);
+        })
+        .run();
+    });
+  }
+
+  // Optional HLS packaging of the finished render, keyed by its file name
+  async packageStream(job, output, outputPath) {
+    if (!output?.hls) return null;
+
+    JobUtils.setStage(job.id, "packaging");
+
+    return HlsUtils.packageHls(outputPath, path.parse(outputPath).name, {
+      width: output.width,
+      height: output.height,
+      ...output.hls,
+    });
+  }
+
+  // Poster frame and scrub sprite sheet. The render has already succeeded,
+  // so a thumbnail failure is logged rather than failing the job.
+  async generateThumbnails(
+    job,
+    output,
+    outputPath,
+    timeline,
+    cards = { intro: 0, outro: 0 }
+  ) {
+    if (output?.format === "mp3") return null;
+
+    JobUtils.setStage(job.id, "thumbnails");
+
+    const duration =
+      cards.intro + timeline[timeline.length - 1].end + cards.outro;
+    const posterTime =
+      output?.posterAt === "firstImage" || output?.posterAt === undefined
+        ? cards.intro + timeline[0].start + timeline[0].duration / 2
+        : output.posterAt;
+
+    try {
+      return await ThumbnailUtils.generateThumbnails(
+        outputPath,
+        path.parse(outputPath).name,
+        {
+          duration,
+          width: output?.width || OUTPUT_PROFILES["16:9"].width,
+          height: output?.height || OUTPUT_PROFILES["16:9"].height,
+          posterTime,
+        }
+      );
     } catch (error) {
-      console.log("Creating new mappings file:", error.message);
+      console.error("⚠️ Thumbnail generation failed:", error.message);
+      return null;
+    }
+  }
+
+  // Checks that need the audio duration, done before rendering
+  validateOutputDuration(output, audioDuration, watermark = null) {
+    const errors = [];
+
+    // GIFs are for short teasers; longer renders would be huge
+    if (output?.format === "gif" && audioDuration > GIF_DEFAULTS.maxDuration) {
+      errors.push(
+        `gif output is limited to ${GIF_DEFAULTS.maxDuration}s; the audio is ${audioDuration}s long`
+      );
+    }
+
+    if (
+      typeof output?.posterAt === "number" &&
+      output.posterAt >= audioDuration
+    ) {
+      errors.push(
+        `posterAt (${output.posterAt}s) is past the end of the video (${audioDuration}s)`
+      );
+    }
+
+    const watermarkStart = watermark?.options.start;
+    if (typeof watermarkStart === "number" && watermarkStart >= audioDuration) {
+      errors.push(
+        `Watermark start (${watermarkStart}s) is past the end of the video (${audioDuration}s)`
+      );
+    }
+
+    if (errors.length > 0) {
+      throw createValidationError(errors);
+    }
+  }
+
+  // Handle multiple audio files - concatenate if needed
+  // `clipDurations` is given when a single file is an earlier
+  // concatenation of several clips
+  async prepareVoiceover(voiceover, concatenatedPrefix, clipDurations = null) {
+    if (voiceover.length === 1) {
+      // Single audio file
+      const audioDuration = await VideoUtils.estimateAudioDuration(
+        voiceover[0].path,
+        60
+      );
+      return {
+        finalAudioPath: voiceover[0].path,
+        audioDuration,
+        clipDurations: clipDurations || [audioDuration],
+      };
     }
 
-    mappings.push(mapping);
-    await fs.writeFile(mappingsFile, JSON.stringify(mappings, null, 2));
+    // Multiple audio files - concatenate them
+    console.log(`🎵 Concatenating ${voiceover.length} audio files...`);
+
+    const audioPaths = voiceover.map((audio) => audio.path);
+    const concatenatedFilename =
+      AudioUtils.createSafeAudioFilename(concatenatedPrefix);
+    const concatenatedPath = path.join("./uploads/audio", concatenatedFilename);
+
+    const concatenationResult = await AudioUtils.concatenateAudioFiles(
+      audioPaths,
+      concatenatedPath,
+      {
+        fadeTransition: 0.5, // 500ms smooth transition between audio files
+        normalizeLevels: true,
+      }
+    );
+
+    console.log(
+      `✅ Audio concatenation completed. Total duration: ${concatenationResult.totalDuration}s`
+    );
+
+    return {
+      finalAudioPath: concatenationResult.outputPath,
+      audioDuration: concatenationResult.totalDuration,
+      clipDurations: concatenationResult.clipDurations,
+    };
+  }
+
+  // Per-image time ranges: explicit manifest, per voiceover clip, snapped to
+  // pauses, or equal division of the audio
+  async buildTimeline(
+    videoData,
+    audioPath,
+    audioDuration,
+    clipDurations,
+    perImageEffects = []
+  ) {
+    const imageCount = videoData.images.length;
+
+    if (videoData.timeline) {
+      const resolved = TimelineUtils.resolveManifest(
+        videoData.timeline,
+        audioDuration
+      );
+      if (!resolved.isValid) {
+        throw createValidationError(resolved.errors);
+      }
+      return { mappingMode: "timeline", timeline: resolved.timeline };
+    }
+
+    if (videoData.mappingMode === "perClip") {
+      return {
+        mappingMode: "perClip",
+        timeline: TimelineUtils.createPerClipTimeline(
+          clipDurations,
+          videoData.imagesPerClip,
+          audioDuration
+        ),
+      };
+    }
+
+    if (videoData.mappingMode === "silence") {
+      const { noise, minDuration } = videoData.silenceDetection;
+      const pauses = await AudioUtils.detectSilences(audioPath, {
+        noise,
+        minDuration,
+        audioDuration,
+      });
+      const { timeline, cutPoints } = TimelineUtils.createSilenceTimeline(
+        imageCount,
+        audioDuration,
+        pauses
+      );
+
+      console.log(
+        `🔇 Detected ${pauses.length} pauses, snapped ${
+          cutPoints.filter((point) => point.snapped).length
+        }/${cutPoints.length} cuts`
+      );
+
+      return {
+        mappingMode: "silence",
+        timeline,
+        silenceDetection: { noise, minDuration, pauses, cutPoints },
+      };
+    }
+
+    const fixedDurations = Array(imageCount).fill(null);
+    perImageEffects
+      .filter((entry) => entry.duration !== undefined)
+      .forEach((entry) => {
+        fixedDurations[entry.index] = entry.duration;
+      });
+
+    if (fixedDurations.some((duration) => duration !== null)) {
+      const resolved = TimelineUtils.createTimelineWithFixedDurations(
+        fixedDurations,
+        audioDuration
+      );
+      if (!resolved.isValid) {
+        throw createValidationError(resolved.errors);
+      }
+      return { mappingMode: "perImage", timeline: resolved.timeline };
+    }
+
+    return {
+      mappingMode: "equal",
+      timeline: TimelineUtils.createEqualTimeline(imageCount, audioDuration),
+    };
+  }
+
+  async transcribeVoiceover(
+    job,
+    transcription,
+    audioPath,
+    audioDuration,
+    baseName
+  ) {
+    if (!transcription) return null;
+
+    JobUtils.setStage(job.id, "transcribing");
+
+    const transcript = await TranscriptionUtils.transcribe(audioPath, {
+      engine: transcription.engine,
+      language: transcription.language,
+      audioDuration,
+    });
+
+    const cues = SubtitleUtils.transcriptToCues(transcript.segments);
+    const srtPath = await SubtitleUtils.writeSrtFile(
+      cues,
+      `${baseName}_transcript`
+    );
+    const vttPath = await SubtitleUtils.writeVttFile(
+      cues,
+      `${baseName}_transcript`
+    );
+
+    return { ...transcript, cues, srtPath, vttPath };
+  }
+
+  // Captions requested without an upload are taken from the transcript
+  resolveSubtitleSource(subtitleData, transcript) {
+    if (subtitleData?.source !== "transcript") return subtitleData;
+    if (!transcript) return null;
+
+    return { ...subtitleData, cues: transcript.cues };
+  }
+
+  buildTranscriptMapping(transcript) {
+    if (!transcript) return null;
+
+    const srtFile = path.basename(transcript.srtPath);
+    const vttFile = path.basename(transcript.vttPath);
+
+    return {
+      engine: transcript.engine,
+      language: transcript.language,
+      segmentCount: transcript.segments.length,
+      wordCount: transcript.wordCount,
+      srtFile,
+      vttFile,
+      srtUrl: `/api/subtitles/${srtFile}`,
+      vttUrl: `/api/subtitles/${vttFile}`,
+      segments: transcript.segments,
+    };
+  }
+
+  // Validate uploaded cues against the final audio and write normalized SRT
+  // `offset` shifts the cues when the voiceover starts after an intro card
+  async prepareSubtitles(subtitleData, audioDuration, baseName, offset = 0) {
+    if (!subtitleData) return null;
+
+    const cueValidation = SubtitleUtils.validateCues(
+      subtitleData.cues,
+      audioDuration
+    );
+    if (!cueValidation.isValid) {
+      throw createValidationError(cueValidation.errors);
+    }
+
+    const subtitlePath = await SubtitleUtils.writeSrtFile(
+      subtitleData.cues.map((cue) => ({
+        ...cue,
+        startSeconds: cue.startSeconds + offset,
+        endSeconds: cue.endSeconds + offset,
+      })),
+      baseName
+    );
+
+    return {
+      path: subtitlePath,
+      mode: subtitleData.mode,
+      style: SubtitleUtils.resolveStyle(subtitleData.style),
+    };
+  }
+
+  // Resolve the music bed; its length decides where a non-looping fade-out lands
+  async prepareMusic(musicData) {
+    if (!musicData) return null;
+
+    const musicDuration = await AudioUtils.getAudioDuration(
+      musicData.file.path
+    );
+
+    return {
+      path: musicData.file.path,
+      ...musicData.options,
+      musicDuration,
+    };
+  }
+
+  // Focal points per image (effect overrides win) and the source sizes
+  // needed to place them in the frame
+  async prepareFraming(imagePaths, focus = [], perImageEffects = []) {
+    const overrides = new Map(
+      perImageEffects
+        .filter((entry) => entry.focus)
+        .map((entry) => [entry.index, FramingUtils.normalizeFocus(entry.focus)])
+    );
+    const resolvedFocus = imagePaths.map(
+      (_, index) => overrides.get(index) || focus[index] || null
+    );
+
+    return {
+      focus: resolvedFocus,
+      imageSizes: await FramingUtils.getImageSizes(imagePaths, resolvedFocus),
+    };
+  }
+
+  // Title cards and per-image captions, with the text files drawtext reads
+  async prepareTextOverlays(effects, imageCount, baseName) {
+    const overrides = new Map(
+      (effects.perImage || []).map((entry) => [entry.index, entry])
+    );
+    const captions = Array.from({ length: imageCount }, (_, index) =>
+      TextOverlayUtils.resolveCaption(
+        overrides.get(index)?.caption,
+        effects.captionStyle
+      )
+    );
+
+    const hasText =
+      effects.titleCards?.intro ||
+      effects.titleCards?.outro ||
+      captions.some(Boolean);
+    if (!hasText) return null;
+
+    return TextOverlayUtils.prepareTextFiles(
+      effects.titleCards,
+      captions,
+      baseName
+    );
+  }
+
+  // On-screen text with its timing in the rendered video
+  buildTextMapping(text, timeline, cards) {
+    if (!text) return null;
+
+    const describe = (entry, start, end) =>
+      entry && {
+        text: entry.text,
+        start: Math.round(start * 1000) / 1000,
+        end: Math.round(end * 1000) / 1000,
+        style: entry.style,
+      };
+    const audioEnd = timeline[timeline.length - 1].end;
+
+    return {
+      intro: text.intro && {
+        ...describe(text.intro, 0, cards.intro),
+        background: text.intro.background,
+        backgroundColor: text.intro.backgroundColor,
+      },
+      outro: text.outro && {
+        ...describe(
+          text.outro,
+          cards.intro + audioEnd,
+          cards.intro + audioEnd + cards.outro
+        ),
+        background: text.outro.background,
+        backgroundColor: text.outro.backgroundColor,
+      },
+      captions: text.captions
+        .map((caption, index) =>
+          caption
+            ? {
+                index,
+                ...describe(
+                  caption,
+                  cards.intro + timeline[index].start,
+                  cards.intro + timeline[index].end
+                ),
+              }
+            : null
+        )
+        .filter(Boolean),
+    };
+  }
+
+  buildMusicMapping(musicData, music) {
+    if (!musicData || !music) return null;
+
+    return {
+      filename: musicData.file.filename,
+      originalName: musicData.file.originalname,
+      size: musicData.file.size,
+      duration: music.musicDuration,
+      options: musicData.options,
+    };
+  }
+
+  buildWatermarkMapping(watermark) {
+    if (!watermark) return null;
+
+    return watermark.file
+      ? {
+          source: "upload",
+          filename: watermark.file.filename,
+          originalName: watermark.file.originalname,
+          size: watermark.file.size,
+          options: watermark.options,
+        }
+      : {
+          source: "asset",
+          asset: watermark.asset,
+          options: watermark.options,
+        };
+  }
+
+  buildSubtitleMapping(subtitleData, subtitles) {
+    if (!subtitleData || !subtitles) return null;
+
+    return {
+      source: subtitleData.source,
+      filename: subtitleData.file?.filename || null,
+      originalName: subtitleData.file?.originalname || null,
+      format: subtitleData.format || "srt",
+      mode: subtitles.mode,
+      style: subtitles.mode === "burn" ? subtitles.style : null,
+      cueCount: subtitleData.cues.length,
+      normalizedFile: path.basename(subtitles.path),
+      url: `/api/subtitles/${path.basename(subtitles.path)}`,
+    };
+  }
+
+  // Store the request as a project and the mapping as its render; the
+  // saved render (with its id) is what the job returns. A re-render is
+  // saved under the same project as a revision of its mapping.
+  async saveMappingInfo(mapping, videoData, effects = null) {
+    const concatenatedVoiceover =
+      MappingUtils.getConcatenatedVoiceover(mapping);
+    const { rerender } = videoData;
+
+    if (rerender) {
+      if (concatenatedVoiceover) {
+        await Project.update(rerender.projectId, { concatenatedVoiceover });
+      }
+      return Render.create(rerender.projectId, {
+        ...mapping,
+        revisionOf: rerender.revisionOf,
+      });
+    }
+
+    const project = await Project.createFromRequest(
+      mapping.type || "video",
+      videoData,
+      effects,
+      concatenatedVoiceover
+    );
+    return Render.create(project.id, mapping);
   }
 
   async downloadVideo(req, res) {
@@ -288,7 +1033,9 @@ class VideoController {
 
       const fileExists = await DirectoryUtils.fileExists(videoPath);
       if (fileExists) {
-        res.download(videoPath);
+        res.download(videoPath, filename, {
+          headers: { "Content-Type": VideoUtils.getContentType(filename) },
+        });
       } else {
         return ResponseUtils.send(res, ResponseUtils.notFound("Video file"));
       }
@@ -323,14 +1070,14 @@ class VideoController {
             "Content-Range": `bytes ${start}-${end}/${fileSize}`,
             "Accept-Ranges": "bytes",
             "Content-Length": chunksize,
-            "Content-Type": "video/mp4",
+            "Content-Type": VideoUtils.getContentType(filename),
           };
           res.writeHead(206, head);
           file.pipe(res);
         } else {
           const head = {
             "Content-Length": fileSize,
-            "Content-Type": "video/mp4",
+            "Content-Type": VideoUtils.getContentType(filename),
           };
           res.writeHead(200, head);
           fs.createReadStream(videoPath).pipe(res);
@@ -348,24 +1095,115 @@ class VideoController {
     }
   }
 
-  async getMappings(req, res) {
+  // Serve HLS playlists and segments from output/videos/<id>/
+  async streamVideo(req, res) {
     try {
-      const mappingsFile = "./output/mappings.json";
+      const { id, rendition, file } = req.params;
+      const segments = rendition ? [rendition, file] : [file];
 
-      const fileExists = await DirectoryUtils.fileExists(mappingsFile);
-      if (fileExists) {
-        const data = await fs.readFile(mappingsFile, "utf8");
-        const mappings = JSON.parse(data);
+      if (![id, ...segments].every((name) => HlsUtils.isSafeName(name))) {
         return ResponseUtils.send(
           res,
-          ResponseUtils.success({ mappings }, "Mappings retrieved successfully")
+          ResponseUtils.validationError("Invalid stream path")
         );
-      } else {
+      }
+
+      const contentType = HlsUtils.getContentType(file);
+      const filePath = path.join(HlsUtils.getStreamDir(id), ...segments);
+
+      const fileExists = await DirectoryUtils.fileExists(filePath);
+      if (!fileExists || contentType === "application/octet-stream") {
+        return ResponseUtils.send(res, ResponseUtils.notFound("Stream file"));
+      }
+
+      // Segments never change once written; playlists may be re-packaged
+      res.set({
+        "Content-Type": contentType,
+        "Cache-Control": file.endsWith(".ts")
+          ? "public, max-age=31536000, immutable"
+          : "public, max-age=60",
+      });
+      res.sendFile(path.resolve(filePath));
+    } catch (error) {
+      return ResponseUtils.send(
+        res,
+        ResponseUtils.error("Stream failed", 500, {
+          originalError: error.message,
+        })
+      );
+    }
+  }
+
+  async getThumbnail(req, res) {
+    return this.sendThumbnailFile(res, req.params.filename, [".jpg"]);
+  }
+
+  async getSprite(req, res) {
+    return this.sendThumbnailFile(res, req.params.filename, [".jpg", ".vtt"]);
+  }
+
+  async sendThumbnailFile(res, requestedFilename, allowedExtensions) {
+    try {
+      const filename = path.basename(requestedFilename);
+      const extension = DirectoryUtils.getFileExtension(filename);
+
+      if (!allowedExtensions.includes(extension)) {
+        return ResponseUtils.send(res, ResponseUtils.notFound("Thumbnail"));
+      }
+
+      const filePath = await ThumbnailUtils.getOutputPath(filename);
+      const fileExists = await DirectoryUtils.fileExists(filePath);
+      if (!fileExists) {
+        return ResponseUtils.send(res, ResponseUtils.notFound("Thumbnail"));
+      }
+
+      res.setHeader(
+        "Content-Type",
+        extension === ".vtt" ? "text/vtt; charset=utf-8" : "image/jpeg"
+      );
+      return res.sendFile(path.resolve(filePath));
+    } catch (error) {
+      return ResponseUtils.send(
+        res,
+        ResponseUtils.error("Thumbnail download failed", 500, {
+          originalError: error.message,
+        })
+      );
+    }
+  }
+
+  // Filtered, sorted and paginated mapping history
+  async getMappings(req, res) {
+    try {
+      const query = MappingUtils.resolveMappingQuery(req.query);
+      if (!query.isValid) {
         return ResponseUtils.send(
           res,
-          ResponseUtils.success({ mappings: [] }, "No mappings found")
+          ResponseUtils.validationError(query.errors)
         );
       }
+
+      const mappings = MappingUtils.sortMappings(
+        Render.findAll().filter((mapping) =>
+          MappingUtils.matchesFilters(mapping, query.filters)
+        ),
+        query.sort,
+        query.order
+      );
+      const start = (query.page - 1) * query.limit;
+
+      return ResponseUtils.send(
+        res,
+        ResponseUtils.paginated(
+          mappings.slice(start, start + query.limit),
+          query.page,
+          query.limit,
+          mappings.length,
+          mappings.length > 0
+            ? "Mappings retrieved successfully"
+            : "No mappings found"
+        )
+      );
     } catch (error) {
       return ResponseUtils.send(
         res,
@@ -376,23 +1214,253 @@ class VideoController {
     }
   }
 
-  async generateVideoWithEffects(req, res) {
+  async getMapping(req, res) {
+    try {
+      const mapping = Render.findByIdOrLegacyId(req.params.id);
+      if (!mapping) {
+        return ResponseUtils.send(res, ResponseUtils.notFound("Mapping"));
+      }
+
+      return ResponseUtils.send(
+        res,
+        ResponseUtils.success({ mapping }, "Mapping retrieved successfully")
+      );
+    } catch (error) {
+      return ResponseUtils.send(
+        res,
+        ResponseUtils.error("Failed to get mapping", 500, {
+          originalError: error.message,
+        })
+      );
+    }
+  }
+
+  /**
+   * Delete a mapping. With `removeFiles=true` the render's output files go
+   * too, and once the project has no renders left, its uploaded files
+   * (unless another project uses them). A project without renders is
+   * removed either way.
+   */
+  async deleteMapping(req, res) {
     try {
-      const startTime = Date.now();
+      const mapping = Render.findByIdOrLegacyId(req.params.id);
+      if (!mapping) {
+        return ResponseUtils.send(res, ResponseUtils.notFound("Mapping"));
+      }
+
+      const removeFiles = RequestUtils.parseBoolean(req.query.removeFiles);
+
+      await Render.remove(mapping.id);
 
+      const project = Project.findById(mapping.projectId);
+      const projectUnused =
+        project && Render.findByProject(project.id).length === 0;
+
+      const removedFiles = removeFiles
+        ? await this.removeMappingFiles(mapping, projectUnused ? project : null)
+        : [];
+
+      if (projectUnused) {
+        await Project.remove(project.id);
+      }
+
+      return ResponseUtils.send(
+        res,
+        ResponseUtils.success(
+          {
+            id: mapping.id,
+            projectRemoved: Boolean(projectUnused),
+            removedFiles,
+          },
+          "Mapping deleted successfully"
+        )
+      );
+    } catch (error) {
+      return ResponseUtils.send(
+        res,
+        ResponseUtils.error("Failed to delete mapping", 500, {
+          originalError: error.message,
+        })
+      );
+    }
+  }
+
+  /**
+   * Output files of a render, plus the uploads of `project` when given
+   * (the project has no renders left). A concatenated voiceover stays while
+   * another render of the project or the project itself still uses it.
+   */
+  async removeMappingFiles(mapping, project) {
+    const { audio } = DirectoryUtils.getUploadDirsFromEnv();
+    const inAudioDir = (filename) =>
+      path.resolve(audio, path.basename(filename));
+
+    const stillUsed = new Set(
+      [
+        ...Render.findByProject(mapping.projectId).flatMap((render) => [
+          render.voiceover?.concatenatedFile,
+          render.voiceover?.filename,
+        ]),
+        !project &&
+          Project.findById(mapping.projectId)?.concatenatedVoiceover?.filename,
+      ]
+        .filter(Boolean)
+        .map(inAudioDir)
+    );
+    const files = MappingUtils.getOutputFiles(mapping).filter(
+      (file) => !stillUsed.has(path.resolve(file))
+    );
+
+    if (project) {
+      const concatenated = Project.getConcatenatedVoiceover(project);
+      if (concatenated) {
+        files.push(path.join(audio, path.basename(concatenated.filename)));
+      }
+
+      const projectAssets = Project.getAssetIds(project)
+        .map((assetId) => Asset.findById(assetId))
+        .filter(Boolean);
+
+      // Files shared with another project stay
+      const sharedPaths = new Set(
+        Project.findAll()
+          .filter((other) => other.id !== project.id)
+          .flatMap((other) => Project.getAssetIds(other))
+          .map((assetId) => Asset.findById(assetId)?.path)
+          .filter(Boolean)
+          .map((assetPath) => path.resolve(assetPath))
+      );
+
+      // Library assets outlive the projects that use them
+      for (const asset of projectAssets) {
+        if (asset.library || sharedPaths.has(path.resolve(asset.path))) {
+          continue;
+        }
+        files.push(asset.path);
+        await Asset.remove(asset.id);
+      }
+    }
+
+    const removedFiles = [];
+    for (const file of files) {
+      if (await fs.pathExists(file)) {
+        await fs.remove(file);
+        removedFiles.push(file);
+      }
+    }
+
+    return removedFiles;
+  }
+
+  // The request was rebuilt from the stored project by the middleware;
+  // it is queued like a new upload of the same type
+  async rerenderMapping(req, res) {
+    if (req.videoData.rerender.type === "effects_video") {
+      return this.generateVideoWithEffects(req, res);
+    }
+    return this.generateVideo(req, res);
+  }
+
+  async generateVideoWithEffects(req, res) {
+    try {
       const { images, voiceover } = req.videoData;
       const effects = req.body.effects || {};
 
-      console.log(
-        `Processing ${images.length} images with ${voiceover.length} voiceover file(s) and effects:`,
-        effects
+      const outputValidation = VideoUtils.validateOutputCombination(
+        req.videoData,
+        true
+      );
+      if (!outputValidation.isValid) {
+        return ResponseUtils.send(
+          res,
+          ResponseUtils.validationError(outputValidation.errors)
+        );
+      }
+
+      console.log(
+        `Queueing ${images.length} images with ${voiceover.length} voiceover file(s) and effects:`,
+        effects
+      );
+
+      const effectsValidation = VideoEffectsUtils.validateEffects(effects);
+      if (!effectsValidation.isValid) {
+        return ResponseUtils.send(
+          res,
+          ResponseUtils.validationError(effectsValidation.errors)
+        );
+      }
+
+      const perImageField = RequestUtils.parseJsonField(
+        effects.perImage,
+        "effects.perImage"
+      );
+      if (perImageField.error) {
+        return ResponseUtils.send(
+          res,
+          ResponseUtils.validationError(perImageField.error)
+        );
+      }
+
+      const perImage = VideoEffectsUtils.normalizePerImageEffects(
+        perImageField.value
+      );
+      const perImageValidation = VideoEffectsUtils.validatePerImageEffects(
+        perImage,
+        images.length
+      );
+      if (!perImageValidation.isValid) {
+        return ResponseUtils.send(
+          res,
+          ResponseUtils.validationError(perImageValidation.errors)
+        );
+      }
+
+      // Duration overrides replace equal division, so they cannot be
+      // combined with another way of timing the images
+      if (
+        perImage.some((entry) => entry.duration !== undefined) &&
+        (req.videoData.timeline || req.videoData.mappingMode !== "equal")
+      ) {
+        return ResponseUtils.send(
+          res,
+          ResponseUtils.validationError(
+            "perImage durations cannot be combined with timeline or mappingMode"
+          )
+        );
+      }
+
+      // Intro/outro title cards and the default style for per-image captions
+      const titleCardsField = RequestUtils.parseJsonField(
+        effects.titleCards,
+        "effects.titleCards"
+      );
+      const captionStyleField = RequestUtils.parseJsonField(
+        effects.captionStyle,
+        "effects.captionStyle",
+        {}
       );
+      const fieldError = titleCardsField.error || captionStyleField.error;
+      if (fieldError) {
+        return ResponseUtils.send(
+          res,
+          ResponseUtils.validationError(fieldError)
+        );
+      }
 
-      const effectsValidation = VideoEffectsUtils.validateEffects(effects);
-      if (!effectsValidation.isValid) {
+      const titleCards = TextOverlayUtils.resolveTitleCards(
+        titleCardsField.value
+      );
+      const textErrors = [
+        ...titleCards.errors,
+        ...TextOverlayUtils.validateTextStyle(
+          captionStyleField.value,
+          "captionStyle"
+        ),
+      ];
+      if (textErrors.length > 0) {
         return ResponseUtils.send(
           res,
-          ResponseUtils.validationError(effectsValidation.errors)
+          ResponseUtils.validationError(textErrors)
         );
       }
 
@@ -400,154 +1468,313 @@ class VideoController {
       if (effects.preset) {
         finalEffects = VideoEffectsUtils.applyPreset(effects.preset);
 
+        // The preset name stays on the effects so renders can be found by
+        // preset later
         finalEffects = { ...finalEffects, ...effects };
-        delete finalEffects.preset;
       }
+      finalEffects = {
+        ...finalEffects,
+        perImage,
+        titleCards: titleCards.titleCards,
+        captionStyle: captionStyleField.value,
+      };
 
-      const imagePaths = images.map((img) => img.path);
-
-      // Handle multiple audio files - concatenate if needed
-      let finalAudioPath;
-      let audioDuration;
-
-      if (voiceover.length === 1) {
-        // Single audio file
-        finalAudioPath = voiceover[0].path;
-        audioDuration = await VideoUtils.estimateAudioDuration(
-          finalAudioPath,
-          60
-        );
-      } else {
-        // Multiple audio files - concatenate them
-        console.log(
-          `🎵 Concatenating ${voiceover.length} audio files for effects video...`
-        );
+      const job = JobUtils.createJob("effects_video", {
+        imageCount: images.length,
+        audioCount: voiceover.length,
+        effects: finalEffects,
+      });
 
-        const audioPaths = voiceover.map((audio) => audio.path);
-        const concatenatedFilename = AudioUtils.createSafeAudioFilename(
-          "effects_concatenated_voiceover"
-        );
-        const concatenatedPath = path.join(
-          "./uploads/audio",
-          concatenatedFilename
-        );
+      JobUtils.enqueue(job, (currentJob) =>
+        this.processEffectsVideoJob(currentJob, req.videoData, finalEffects)
+      );
 
-        const concatenationResult = await AudioUtils.concatenateAudioFiles(
-          audioPaths,
-          concatenatedPath,
+      return ResponseUtils.send(
+        res,
+        ResponseUtils.fileProcessing(
+          job.id,
+          "Video with effects generation queued",
           {
-            fadeTransition: 0.5, // 500ms smooth transition between audio files
-            normalizeLevels: true,
+            status: job.status,
+            statusUrl: `/api/video/jobs/${job.id}`,
+            eventsUrl: `/api/video/jobs/${job.id}/events`,
+            effectsApplied: finalEffects,
+            ...(req.videoData.rerender && {
+              revisionOf: req.videoData.rerender.revisionOf,
+            }),
           }
-        );
+        )
+      );
+    } catch (error) {
+      console.error("Effects video generation error:", error);
+      return ResponseUtils.send(
+        res,
+        ResponseUtils.error("Effects video generation failed", 500, {
+          originalError: error.message,
+        })
+      );
+    }
+  }
 
-        finalAudioPath = concatenationResult.outputPath;
-        audioDuration = concatenationResult.totalDuration;
+  async processEffectsVideoJob(job, videoData, finalEffects) {
+    const startTime = Date.now();
 
-        console.log(
-          `✅ Audio concatenation completed. Total duration: ${audioDuration}s`
-        );
-      }
+    const { images, voiceover } = videoData;
 
-      const validation = await VideoUtils.validateVideoInputs(
-        imagePaths,
-        finalAudioPath
+    console.log(
+      `Processing ${images.length} images with ${voiceover.length} voiceover file(s) and effects:`,
+      finalEffects
+    );
+
+    const imagePaths = images.map((img) => img.path);
+
+    JobUtils.setStage(job.id, "preparing_audio");
+
+    const { finalAudioPath, audioDuration, clipDurations } =
+      await this.prepareVoiceover(
+        voiceover,
+        "effects_concatenated_voiceover",
+        videoData.clipDurations
       );
 
-      if (!validation.isValid) {
-        return ResponseUtils.send(
-          res,
-          ResponseUtils.validationError(validation.errors)
-        );
-      }
+    const validation = await VideoUtils.validateVideoInputs(
+      imagePaths,
+      finalAudioPath
+    );
+
+    if (!validation.isValid) {
+      throw createValidationError(validation.errors);
+    }
+
+    console.log(`Audio duration: ${audioDuration} seconds`);
 
-      console.log(`Audio duration: ${audioDuration} seconds`);
+    const cards = TextOverlayUtils.getCardDurations(finalEffects.titleCards);
+    this.validateOutputDuration(
+      videoData.output,
+      cards.intro + audioDuration + cards.outro,
+      videoData.watermark
+    );
 
-      const outputFilename = VideoUtils.createSafeVideoFilename(
-        `effects_video_${finalEffects.preset || "custom"}`
+    const outputFilename = VideoUtils.createSafeVideoFilename(
+      `effects_video_${finalEffects.preset || "custom"}`,
+      VideoUtils.getOutputFormat(videoData.output?.format).extension
+    );
+    const outputPath = path.join("./output/videos", outputFilename);
+
+    const { mappingMode, timeline, silenceDetection } =
+      await this.buildTimeline(
+        videoData,
+        finalAudioPath,
+        audioDuration,
+        clipDurations,
+        finalEffects.perImage
       );
-      const outputPath = path.join("./output/videos", outputFilename);
 
-      await this.createVideoWithEffectsInternal(
+    const transcript = await this.transcribeVoiceover(
+      job,
+      videoData.transcription,
+      finalAudioPath,
+      audioDuration,
+      path.parse(outputFilename).name
+    );
+
+    const subtitleData = this.resolveSubtitleSource(
+      videoData.subtitles,
+      transcript
+    );
+    const subtitles = await this.prepareSubtitles(
+      subtitleData,
+      audioDuration,
+      path.parse(outputFilename).name,
+      cards.intro
+    );
+
+    const music = await this.prepareMusic(videoData.music);
+    const framing = await this.prepareFraming(
+      imagePaths,
+      videoData.focus,
+      finalEffects.perImage
+    );
+    const text = await this.prepareTextOverlays(
+      finalEffects,
+      images.length,
+      path.parse(outputFilename).name
+    );
+
+    JobUtils.setStage(job.id, "rendering");
+
+    let appliedEffects;
+    try {
+      appliedEffects = await this.createVideoWithEffectsInternal(
         imagePaths,
         finalAudioPath,
         outputPath,
         audioDuration,
-        finalEffects
-      );
-
-      const processingTime = Date.now() - startTime;
-
-      const mapping = {
-        id: Date.now(),
-        timestamp: new Date().toISOString(),
-        type: "effects_video",
-        images: images.map((img) => ({
-          filename: img.filename,
-          originalName: img.originalname,
-          size: img.size,
-        })),
-        voiceover:
-          voiceover.length === 1
-            ? {
-                filename: voiceover[0].filename,
-                originalName: voiceover[0].originalname,
-                size: voiceover[0].size,
-                duration: audioDuration,
-              }
-            : {
-                type: "concatenated",
-                sourceFiles: voiceover.map((audio) => ({
-                  filename: audio.filename,
-                  originalName: audio.originalname,
-                  size: audio.size,
-                })),
-                totalDuration: audioDuration,
-                concatenatedFile: path.basename(finalAudioPath),
-              },
-        effects: finalEffects,
-        output: {
-          filename: outputFilename,
-          path: outputPath,
-        },
-        processingTime: `${processingTime}ms`,
-        settings: {
-          durationPerImage: `${(audioDuration / images.length).toFixed(2)}s`,
-          totalImages: images.length,
-          totalAudioFiles: voiceover.length,
-          effectsApplied: Object.keys(finalEffects).filter(
-            (key) => finalEffects[key] !== null
-          ),
+        finalEffects,
+        {
+          subtitles,
+          music,
+          watermark: videoData.watermark,
+          output: videoData.output,
+          fit: videoData.fit,
+          ...framing,
+          text,
+          imageDurations: TimelineUtils.getDurations(timeline),
         },
-      };
+        (progressInfo) => JobUtils.setProgress(job.id, progressInfo)
+      );
+    } finally {
+      await TextOverlayUtils.removeTextFiles(text);
+    }
+
+    const hls = await this.packageStream(job, videoData.output, outputPath);
+    const thumbnails = await this.generateThumbnails(
+      job,
+      videoData.output,
+      outputPath,
+      timeline,
+      cards
+    );
+
+    JobUtils.setStage(job.id, "saving");
+
+    const processingTime = Date.now() - startTime;
+
+    const mapping = {
+      jobId: job.id,
+      timestamp: new Date().toISOString(),
+      type: "effects_video",
+      images: images.map((img) => ({
+        filename: img.filename,
+        originalName: img.originalname,
+        size: img.size,
+      })),
+      voiceover:
+        voiceover.length === 1
+          ? {
+              filename: voiceover[0].filename,
+              originalName: voiceover[0].originalname,
+              size: voiceover[0].size,
+              duration: audioDuration,
+            }
+          : {
+              type: "concatenated",
+              sourceFiles: voiceover.map((audio, index) => ({
+                filename: audio.filename,
+                originalName: audio.originalname,
+                size: audio.size,
+                duration: clipDurations[index],
+              })),
+              totalDuration: audioDuration,
+              concatenatedFile: path.basename(finalAudioPath),
+            },
+      effects: finalEffects,
+      subtitles: this.buildSubtitleMapping(subtitleData, subtitles),
+      transcript: this.buildTranscriptMapping(transcript),
+      music: this.buildMusicMapping(videoData.music, music),
+      watermark: this.buildWatermarkMapping(videoData.watermark),
+      text: this.buildTextMapping(text, timeline, cards),
+      output: {
+        filename: outputFilename,
+        path: outputPath,
+        ...videoData.output,
+        hls,
+        thumbnails,
+      },
+      processingTime: `${processingTime}ms`,
+      timeline,
+      silenceDetection: silenceDetection || null,
+      settings: {
+        mappingMode,
+        durationPerImage:
+          mappingMode === "equal"
+            ? `${(audioDuration / images.length).toFixed(2)}s`
+            : "variable",
+        totalImages: images.length,
+        totalAudioFiles: voiceover.length,
+        fit: videoData.fit,
+        focus: framing.focus,
+        effectsApplied: appliedEffects,
+      },
+    };
+
+    const render = await this.saveMappingInfo(mapping, videoData, finalEffects);
+
+    return {
+      videoFile: outputFilename,
+      downloadUrl: `/api/video/download/${outputFilename}`,
+      previewUrl: `/api/video/preview/${outputFilename}`,
+      streamUrl: hls?.streamUrl || null,
+      posterUrl: thumbnails?.posterUrl || null,
+      spriteUrl: thumbnails?.spriteUrl || null,
+      spriteVttUrl: thumbnails?.spriteVttUrl || null,
+      processingTime: `${processingTime}ms`,
+      effectsApplied: finalEffects,
+      appliedEffects,
+      mapping: render,
+    };
+  }
+
+  async getJobStatus(req, res) {
+    try {
+      const job = JobUtils.getJob(req.params.id);
 
-      await this.saveMappingInfo(mapping);
+      if (!job) {
+        return ResponseUtils.send(res, ResponseUtils.notFound("Job"));
+      }
 
       return ResponseUtils.send(
         res,
         ResponseUtils.success(
-          {
-            videoFile: outputFilename,
-            downloadUrl: `/api/video/download/${outputFilename}`,
-            previewUrl: `/api/video/preview/${outputFilename}`,
-            processingTime: `${processingTime}ms`,
-            effectsApplied: finalEffects,
-            mapping: mapping,
-          },
-          "Video with effects generated successfully"
+          JobUtils.serializeJob(job),
+          "Job status retrieved successfully"
         )
       );
     } catch (error) {
-      console.error("Effects video generation error:", error);
       return ResponseUtils.send(
         res,
-        ResponseUtils.error("Effects video generation failed", 500, {
+        ResponseUtils.error("Failed to get job status", 500, {
           originalError: error.message,
         })
       );
     }
   }
 
+  async streamJobEvents(req, res) {
+    const job = JobUtils.getJob(req.params.id);
+
+    if (!job) {
+      return ResponseUtils.send(res, ResponseUtils.notFound("Job"));
+    }
+
+    ResponseUtils.openEventStream(res);
+    ResponseUtils.sendEvent(res, "status", JobUtils.serializeJob(job));
+
+    // Late subscribers to a finished job get the terminal event right away
+    if (JobUtils.isFinished(job)) {
+      ResponseUtils.sendEvent(res, job.status, JobUtils.serializeJob(job));
+      return res.end();
+    }
+
+    const heartbeat = setInterval(() => res.write(": keep-alive\n\n"), 15000);
+
+    const cleanup = () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+    };
+
+    const unsubscribe = JobUtils.subscribe(job.id, ({ event, data }) => {
+      ResponseUtils.sendEvent(res, event, data);
+
+      if (event === JOB_STATUSES.SUCCEEDED || event === JOB_STATUSES.FAILED) {
+        cleanup();
+        res.end();
+      }
+    });
+
+    req.on("close", cleanup);
+  }
+
   async getAvailableEffects(req, res) {
     try {
       const effects = VideoEffectsUtils.getAvailableEffects();
@@ -594,6 +1821,175 @@ class VideoController {
     }
   }
 
+  async createEffectPreset(req, res) {
+    try {
+      const { name, ...definition } = req.body || {};
+
+      const nameErrors = PresetUtils.validatePresetName(name);
+      if (nameErrors.length > 0) {
+        return ResponseUtils.send(
+          res,
+          ResponseUtils.validationError(nameErrors)
+        );
+      }
+
+      if (PresetUtils.exists(name)) {
+        return ResponseUtils.send(
+          res,
+          ResponseUtils.error(`Preset '${name}' already exists`, 409, {
+            type: "ConflictError",
+          })
+        );
+      }
+
+      if (PresetUtils.isFull()) {
+        return ResponseUtils.send(
+          res,
+          ResponseUtils.validationError(
+            `At most ${CUSTOM_PRESET_LIMITS.maxPresets} custom presets can be stored`
+          )
+        );
+      }
+
+      const validation = VideoEffectsUtils.validatePresetDefinition(definition);
+      if (!validation.isValid) {
+        return ResponseUtils.send(
+          res,
+          ResponseUtils.validationError(validation.errors)
+        );
+      }
+
+      const preset = await PresetUtils.createPreset(name, validation.preset);
+
+      return ResponseUtils.send(
+        res,
+        ResponseUtils.created({ name, preset }, "Effect preset created")
+      );
+    } catch (error) {
+      console.error("Create preset error:", error);
+      return ResponseUtils.send(
+        res,
+        ResponseUtils.error("Failed to create effect preset", 500, {
+          originalError: error.message,
+        })
+      );
+    }
+  }
+
+  async updateEffectPreset(req, res) {
+    try {
+      const { name } = req.params;
+
+      if (PresetUtils.isBuiltIn(name)) {
+        return ResponseUtils.send(
+          res,
+          ResponseUtils.forbidden("Built-in presets cannot be changed")
+        );
+      }
+
+      if (!PresetUtils.exists(name)) {
+        return ResponseUtils.send(res, ResponseUtils.notFound("Preset"));
+      }
+
+      const validation = VideoEffectsUtils.validatePresetDefinition(
+        req.body || {}
+      );
+      if (!validation.isValid) {
+        return ResponseUtils.send(
+          res,
+          ResponseUtils.validationError(validation.errors)
+        );
+      }
+
+      const preset = await PresetUtils.updatePreset(name, validation.preset);
+
+      return ResponseUtils.send(
+        res,
+        ResponseUtils.success({ name, preset }, "Effect preset updated")
+      );
+    } catch (error) {
+      console.error("Update preset error:", error);
+      return ResponseUtils.send(
+        res,
+        ResponseUtils.error("Failed to update effect preset", 500, {
+          originalError: error.message,
+        })
+      );
+    }
+  }
+
+  async deleteEffectPreset(req, res) {
+    try {
+      const { name } = req.params;
+
+      if (PresetUtils.isBuiltIn(name)) {
+        return ResponseUtils.send(
+          res,
+          ResponseUtils.forbidden("Built-in presets cannot be deleted")
+        );
+      }
+
+      if (!PresetUtils.exists(name)) {
+        return ResponseUtils.send(res, ResponseUtils.notFound("Preset"));
+      }
+
+      await PresetUtils.deletePreset(name);
+
+      return ResponseUtils.send(
+        res,
+        ResponseUtils.success({ name }, "Effect preset deleted")
+      );
+    } catch (error) {
+      console.error("Delete preset error:", error);
+      return ResponseUtils.send(
+        res,
+        ResponseUtils.error("Failed to delete effect preset", 500, {
+          originalError: error.message,
+        })
+      );
+    }
+  }
+
+  /**
+   * Library images (`images`: asset ids, comma-separated or an array) to
+   * preview effects on, so callers can see them on their own pictures.
+   * Null when none are named and the bundled samples are used.
+   */
+  async resolvePreviewImages(value) {
+    const errors = [];
+    const { ids, error } = AssetUtils.parseIdList(value, "images");
+    if (error) {
+      return { isValid: false, errors: [error], imagePaths: null };
+    }
+    if (value === undefined || value === "") {
+      return { isValid: true, errors, imagePaths: null };
+    }
+
+    if (ids.length === 0 || ids.length > PREVIEW_DEFAULTS.maxImages) {
+      errors.push(
+        `images must list between 1 and ${PREVIEW_DEFAULTS.maxImages} image asset ids`
+      );
+      return { isValid: false, errors, imagePaths: null };
+    }
+
+    const imagePaths = [];
+    for (const id of ids) {
+      const asset = Asset.findById(id);
+      if (!asset?.library || asset.kind !== ASSET_KINDS.images) {
+        errors.push(`Unknown image asset: ${id}`);
+      } else if (!(await fs.pathExists(asset.path))) {
+        errors.push(`Image asset is no longer available: ${id}`);
+      } else {
+        imagePaths.push(asset.path);
+      }
+    }
+
+    return { isValid: errors.length === 0, errors, imagePaths };
+  }
+
+  // Renders a short sample clip for an effect or preset, or returns the
+  // cached clip when the same effects were already rendered on the same
+  // images
   async previewEffect(req, res) {
     try {
       const { effectType, effectName } = req.params;
@@ -602,26 +1998,95 @@ class VideoController {
       let effectToPreview;
 
       if (preset) {
+        if (!PresetUtils.exists(preset)) {
+          return ResponseUtils.send(res, ResponseUtils.notFound("Preset"));
+        }
         effectToPreview = VideoEffectsUtils.applyPreset(preset);
       } else {
+        if (!PREVIEW_EFFECT_TYPES.includes(effectType)) {
+          return ResponseUtils.send(
+            res,
+            ResponseUtils.validationError(
+              `Invalid effect type: ${effectType}. Use one of ${PREVIEW_EFFECT_TYPES.join(
+                ", "
+              )}`
+            )
+          );
+        }
         effectToPreview = { [effectType]: effectName };
       }
 
+      const effectsValidation =
+        VideoEffectsUtils.validateEffects(effectToPreview);
+      if (!effectsValidation.isValid) {
+        return ResponseUtils.send(
+          res,
+          ResponseUtils.validationError(effectsValidation.errors)
+        );
+      }
+
+      const previewImages = await this.resolvePreviewImages(req.query.images);
+      if (!previewImages.isValid) {
+        return ResponseUtils.send(
+          res,
+          ResponseUtils.validationError(previewImages.errors)
+        );
+      }
+
       const description = preset
         ? VideoEffectsUtils.getEffectPresets()[preset]?.description
         : `${effectType}: ${effectName}`;
 
+      // Anything not being previewed stays neutral: hard cuts unless a
+      // transition is shown
+      const renderEffects = { transition: "none", ...effectToPreview };
+      delete renderEffects.description;
+      const imagePaths =
+        previewImages.imagePaths || (await PreviewUtils.getSampleImages());
+      const filename = await PreviewUtils.getPreviewFilename(
+        renderEffects,
+        imagePaths
+      );
+      const previewUrl = PreviewUtils.getPreviewUrl(filename);
+
+      const data = {
+        effect: effectToPreview,
+        description,
+        previewUrl,
+        message:
+          "Use this effect configuration in your video generation request",
+      };
+
+      if (await PreviewUtils.findCachedPreview(filename)) {
+        return ResponseUtils.send(
+          res,
+          ResponseUtils.success(
+            { ...data, cached: true },
+            "Effect preview retrieved successfully"
+          )
+        );
+      }
+
+      // One render per clip; repeated requests join the pending job
+      let job = JobUtils.getJob(PreviewUtils.getPendingJobId(filename));
+      if (!job) {
+        job = JobUtils.createJob("effect_preview", { filename });
+        PreviewUtils.setPendingJobId(filename, job.id);
+        JobUtils.enqueue(job, async () => {
+          await PreviewUtils.renderPreview(renderEffects, imagePaths, filename);
+          return { previewUrl, effect: effectToPreview };
+        });
+      }
+
       return ResponseUtils.send(
         res,
-        ResponseUtils.success(
-          {
-            effect: effectToPreview,
-            description,
-            message:
-              "Use this effect configuration in your video generation request",
-          },
-          "Effect preview retrieved successfully"
-        )
+        ResponseUtils.fileProcessing(job.id, "Effect preview rendering", {
+          ...data,
+          status: job.status,
+          cached: false,
+          statusUrl: `/api/video/jobs/${job.id}`,
+          eventsUrl: `/api/video/jobs/${job.id}/events`,
+        })
       );
     } catch (error) {
       console.error("Effect preview error:", error);
@@ -634,55 +2099,73 @@ class VideoController {
     }
   }
 
+  async getEffectPreviewFile(req, res) {
+    try {
+      const { filename } = req.params;
+
+      if (!PreviewUtils.isPreviewFilename(filename)) {
+        return ResponseUtils.send(res, ResponseUtils.notFound("Preview"));
+      }
+
+      const previewPath = await PreviewUtils.getPreviewPath(filename);
+      if (!(await DirectoryUtils.fileExists(previewPath))) {
+        return ResponseUtils.send(res, ResponseUtils.notFound("Preview"));
+      }
+
+      res.setHeader("Content-Type", "video/mp4");
+      return res.sendFile(path.resolve(previewPath));
+    } catch (error) {
+      return ResponseUtils.send(
+        res,
+        ResponseUtils.error("Preview download failed", 500, {
+          originalError: error.message,
+        })
+      );
+    }
+  }
+
   async createVideoWithEffectsInternal(
     imagePaths,
     audioPath,
     outputPath,
     audioDuration,
-    effects
+    effects,
+    options = {},
+    onProgress = null
   ) {
     return new Promise((resolve, reject) => {
       try {
-        // Determine transition type from effects - default to slide transitions
-        let transitionType = "slide"; // default to slide transitions (current goes left, new comes from right)
-        if (effects && effects.transition) {
-          // Check for specific transition types
-          if (effects.transition.toLowerCase().includes("fade")) {
-            transitionType = "fade";
-          } else if (effects.transition.toLowerCase() === "none") {
-            transitionType = "none";
-          }
-          // slide transitions are already the default, so no need to explicitly set
-        }
-
-        const command = VideoEffectsUtils.createVideoWithEffects(
-          imagePaths,
-          audioPath,
-          outputPath,
-          audioDuration,
-          effects,
-          transitionType
-        );
+        // Slide left stays the default when no transition is requested
+        const transitionType = effects?.transition || "slideleft";
+        const cards = TextOverlayUtils.getCardDurations(options.text);
+
+        const { command, appliedEffects } =
+          VideoEffectsUtils.createVideoWithEffects(
+            imagePaths,
+            audioPath,
+            outputPath,
+            audioDuration,
+            effects,
+            transitionType,
+            options
+          );
 
         command
           .on("start", (commandLine) => {
             console.log("FFmpeg command:", commandLine);
           })
-          .on("progress", (progress) => {
-            let percentage = 0;
-            if (progress.timemark && audioDuration > 0) {
-              const timemarkSeconds = VideoUtils.parseTimemark(
-                progress.timemark
+          .on(
+            "progress",
+            VideoUtils.createProgressCallback((progressInfo) => {
+              console.log(
+                `Processing: ${progressInfo.percentage}% done (${
+                  progressInfo.timemark || "calculating..."
+                })`
               );
-              percentage = Math.round((timemarkSeconds / audioDuration) * 100);
-              percentage = Math.min(percentage, 100);
-            }
-            console.log(
-              `Processing: ${percentage}% done (${
-                progress.timemark || "calculating..."
-              })`
-            );
-          })
+
+              if (onProgress) onProgress(progressInfo);
+            }, cards.intro + audioDuration + cards.outro)
+          )
           .on("error", (err, stdout, stderr) => {
             console.error("FFmpeg error:", err);
             console.error("FFmpeg stderr:", stderr);
@@ -690,7 +2173,7 @@ class VideoController {
           })
           .on("end", () => {
             console.log("Video processing completed successfully");
-            resolve();
+            resolve(appliedEffects);
           })
           .run();
       } catch (error) {
@@ -3,7 +3,10 @@ const express = require("express");
 const cors = require("cors");
 const path = require("path");
 const setVideoRoutes = require("./routes/video.route");
+const setSubtitleRoutes = require("./routes/subtitle.route");
+const setAssetRoutes = require("./routes/asset.route");
 const { ResponseUtils, DirectoryUtils } = require("./utils");
+const { initializeModels } = require("./models");
 
 const app = express();
 
@@ -48,14 +51,20 @@ async function startServer() {
     // Initialize directories
     await DirectoryUtils.initializeAppDirectories();
 
+    // Load the project store (and import mappings.json once)
+    await initializeModels();
+
     // Setup routes (async)
     await setVideoRoutes(app);
+    await setSubtitleRoutes(app);
+    await setAssetRoutes(app);
 
     app.listen(PORT, "0.0.0.0", () => {
       console.log(`✅ Server is running on port ${PORT}`);
       console.log(`📁 All directories initialized`);
       console.log(`🔗 Health check: http://localhost:${PORT}/health`);
       console.log(`📽️ Video API: http://localhost:${PORT}/api/video`);
+      console.log(`📚 Asset API: http://localhost:${PORT}/api/assets`);
     });
   } catch (error) {
     console.error("❌ Failed to start server:", error);
@@ -0,0 +1,118 @@
+const multer = require("multer");
+const fs = require("fs-extra");
+const { FileUploadUtils, ResponseUtils, AssetUtils } = require("../utils");
+const {
+  ASSET_UPLOAD_DESTINATIONS,
+  ASSET_ALLOWED_FILE_TYPES,
+  ASSET_UPLOAD_FIELD_CONFIGS,
+  ASSET_UPLOAD_PLACEHOLDER,
+} = require("../constants/constants");
+const { Asset } = require("../models");
+
+// Generate request fields that name library assets, and the asset kind
+// each accepts
+const ASSET_ID_FIELDS = [
+  { field: "imageIds", files: "images", kind: "image" },
+  { field: "voiceoverIds", files: "voiceover", kind: "audio" },
+];
+
+class AssetMiddleware {
+  uploadFiles() {
+    const maxFileSizeMB = FileUploadUtils.parseFileSizeFromEnv(
+      process.env.MAX_FILE_SIZE,
+      50
+    );
+
+    const upload = multer(
+      FileUploadUtils.createMulterConfig({
+        destinations: ASSET_UPLOAD_DESTINATIONS,
+        allowedTypes: ASSET_ALLOWED_FILE_TYPES,
+        maxFileSizeMB,
+      })
+    );
+
+    return upload.fields(ASSET_UPLOAD_FIELD_CONFIGS);
+  }
+
+  /**
+   * Let /generate* take library assets by id (`imageIds`, `voiceoverIds`)
+   * in place of, or mixed with, uploaded files. Without placeholders the
+   * library files follow the uploaded ones. To set the order, list
+   * ASSET_UPLOAD_PLACEHOLDER ("upload") among the ids once per uploaded
+   * file: each takes the next upload, so ["upload", "ast_1"] puts the
+   * uploaded image before library image ast_1.
+   */
+  async resolveAssetIds(req, res, next) {
+    try {
+      const errors = [];
+      const missingFiles = [];
+      const resolved = {};
+
+      for (const { field, files, kind } of ASSET_ID_FIELDS) {
+        const { ids, error } = AssetUtils.parseIdList(req.body?.[field], field);
+        if (error) {
+          errors.push(error);
+          continue;
+        }
+        if (ids.length === 0) continue;
+
+        const uploads = req.files?.[files] || [];
+        const placeholders = ids.filter(
+          (id) => id === ASSET_UPLOAD_PLACEHOLDER
+        ).length;
+        if (placeholders > 0 && placeholders !== uploads.length) {
+          errors.push(
+            `${field} has ${placeholders} "${ASSET_UPLOAD_PLACEHOLDER}" entries but ${uploads.length} ${files} file(s) were uploaded; list one per uploaded file, or none to put the uploads first`
+          );
+          continue;
+        }
+
+        const ordered = placeholders > 0 ? [] : [...uploads];
+        let nextUpload = 0;
+        for (const id of ids) {
+          if (id === ASSET_UPLOAD_PLACEHOLDER) {
+            ordered.push(uploads[nextUpload++]);
+            continue;
+          }
+
+          const asset = Asset.findById(id);
+          if (!asset?.library || asset.kind !== kind) {
+            errors.push(`Unknown ${kind} asset: ${id}`);
+          } else if (!(await fs.pathExists(asset.path))) {
+            missingFiles.push(asset.originalName);
+          } else {
+            ordered.push(Asset.toFile(asset));
+          }
+        }
+        resolved[files] = ordered;
+      }
+
+      if (errors.length > 0) {
+        return ResponseUtils.send(res, ResponseUtils.validationError(errors));
+      }
+
+      if (missingFiles.length > 0) {
+        return ResponseUtils.send(
+          res,
+          ResponseUtils.error("Library assets are no longer available", 410, {
+            type: "SourceFilesMissingError",
+            missingFiles,
+          })
+        );
+      }
+
+      req.files = { ...req.files, ...resolved };
+
+      next();
+    } catch (error) {
+      return ResponseUtils.send(
+        res,
+        ResponseUtils.error("Asset lookup failed", 500, {
+          originalError: error.message,
+        })
+      );
+    }
+  }
+}
+
+module.exports = AssetMiddleware;
@@ -0,0 +1,142 @@
+const {
+  DirectoryUtils,
+  ResponseUtils,
+  RequestUtils,
+  SubtitleUtils,
+  TranscriptionUtils,
+} = require("../utils");
+const { SUPPORTED_SUBTITLE_FORMATS } = require("../constants/constants");
+
+class SubtitleMiddleware {
+  // Parses an optional `subtitles` upload and the `transcribe` options;
+  // timing is checked against the audio duration later, once the voiceover
+  // has been prepared
+  async validateSubtitleRequest(req, res, next) {
+    try {
+      const subtitleFile = req.files?.subtitles?.[0];
+      const transcribe = RequestUtils.parseBoolean(req.body.transcribe);
+
+      if (transcribe) {
+        const engine =
+          req.body.transcriptionEngine ||
+          TranscriptionUtils.getDefaultEngineName();
+
+        if (!TranscriptionUtils.getAvailableEngines().includes(engine)) {
+          return ResponseUtils.send(
+            res,
+            ResponseUtils.validationError(
+              `Unknown transcription engine: ${engine}. Use one of ${TranscriptionUtils.getAvailableEngines().join(
+                ", "
+              )}`
+            )
+          );
+        }
+
+        const transcription = {
+          engine,
+          language: req.body.transcriptionLanguage || "en",
+        };
+        const transcriptionErrors =
+          TranscriptionUtils.getEngine(engine).validateOptions(transcription);
+        if (transcriptionErrors.length > 0) {
+          return ResponseUtils.send(
+            res,
+            ResponseUtils.validationError(transcriptionErrors)
+          );
+        }
+
+        req.videoData.transcription = transcription;
+      }
+
+      // Captions come from the transcript when no file is uploaded
+      const captionsFromTranscript =
+        !subtitleFile && transcribe && Boolean(req.body.subtitleMode);
+
+      if (!subtitleFile && !captionsFromTranscript) {
+        return next();
+      }
+
+      const styleField = RequestUtils.parseJsonField(
+        req.body.subtitleStyle,
+        "subtitleStyle",
+        {}
+      );
+      if (styleField.error) {
+        return ResponseUtils.send(
+          res,
+          ResponseUtils.validationError(styleField.error)
+        );
+      }
+
+      const options = {
+        mode: req.body.subtitleMode || "burn",
+        style: styleField.value,
+      };
+
+      const optionsValidation = SubtitleUtils.validateSubtitleOptions(options);
+      if (!optionsValidation.isValid) {
+        return ResponseUtils.send(
+          res,
+          ResponseUtils.validationError(optionsValidation.errors)
+        );
+      }
+
+      if (captionsFromTranscript) {
+        req.videoData.subtitles = { source: "transcript", ...options };
+        return next();
+      }
+
+      if (
+        !DirectoryUtils.hasAllowedExtension(
+          subtitleFile.originalname,
+          SUPPORTED_SUBTITLE_FORMATS
+        )
+      ) {
+        return ResponseUtils.send(
+          res,
+          ResponseUtils.validationError(
+            `Subtitles must be one of: ${SUPPORTED_SUBTITLE_FORMATS.join(", ")}`
+          )
+        );
+      }
+
+      let cues;
+      try {
+        cues = await SubtitleUtils.parseSubtitleFile(subtitleFile.path);
+      } catch (parseError) {
+        return ResponseUtils.send(
+          res,
+          ResponseUtils.validationError(parseError.message, "Invalid subtitles")
+        );
+      }
+
+      if (cues.length === 0) {
+        return ResponseUtils.send(
+          res,
+          ResponseUtils.validationError(
+            "Subtitle file contains no cues",
+            "Invalid subtitles"
+          )
+        );
+      }
+
+      req.videoData.subtitles = {
+        source: "upload",
+        file: subtitleFile,
+        format: DirectoryUtils.getFileExtension(
+          subtitleFile.originalname
+        ).replace(".", ""),
+        ...options,
+        cues,
+      };
+      next();
+    } catch (error) {
+      return ResponseUtils.send(
+        res,
+        ResponseUtils.error("Subtitle validation failed", 500)
+      );
+    }
+  }
+}
+
+module.exports = SubtitleMiddleware;
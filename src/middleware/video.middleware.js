@@ -1,12 +1,31 @@
 const multer = require("multer");
 const path = require("path");
 const fs = require("fs-extra");
-const { FileUploadUtils, DirectoryUtils, ResponseUtils } = require("../utils");
+const {
+  FileUploadUtils,
+  DirectoryUtils,
+  ResponseUtils,
+  RequestUtils,
+  TimelineUtils,
+  AudioUtils,
+  VideoUtils,
+  HlsUtils,
+  ThumbnailUtils,
+  FramingUtils,
+  WatermarkUtils,
+  SubtitleUtils,
+  MappingUtils,
+} = require("../utils");
 const {
   UPLOAD_DESTINATIONS,
   ALLOWED_FILE_TYPES,
   UPLOAD_FIELD_CONFIGS,
+  MAPPING_MODES,
+  SILENCE_DETECTION_DEFAULTS,
+  SUPPORTED_AUDIO_FORMATS,
+  SUPPORTED_WATERMARK_FORMATS,
 } = require("../constants/constants");
+const { Asset, Project, Render } = require("../models");
 
 class VideoMiddleware {
   constructor() {
@@ -77,11 +96,314 @@ class VideoMiddleware {
         );
       }
 
+      // Optional per-image timing; coverage is checked once the audio
+      // duration is known
+      const timelineField = RequestUtils.parseJsonField(
+        req.body.timeline,
+        "timeline"
+      );
+      if (timelineField.error) {
+        return ResponseUtils.send(
+          res,
+          ResponseUtils.validationError(timelineField.error)
+        );
+      }
+
+      if (timelineField.value) {
+        const timelineValidation = TimelineUtils.validateManifestShape(
+          timelineField.value,
+          images.length
+        );
+        if (!timelineValidation.isValid) {
+          return ResponseUtils.send(
+            res,
+            ResponseUtils.validationError(timelineValidation.errors)
+          );
+        }
+      }
+
+      const mappingMode = req.body.mappingMode || "equal";
+      if (!MAPPING_MODES.includes(mappingMode)) {
+        return ResponseUtils.send(
+          res,
+          ResponseUtils.validationError(
+            `Invalid mappingMode: ${mappingMode}. Use one of ${MAPPING_MODES.join(
+              ", "
+            )}`
+          )
+        );
+      }
+
+      if (timelineField.value && mappingMode !== "equal") {
+        return ResponseUtils.send(
+          res,
+          ResponseUtils.validationError(
+            "timeline cannot be combined with mappingMode"
+          )
+        );
+      }
+
+      const imagesPerClipField = RequestUtils.parseJsonField(
+        req.body.imagesPerClip,
+        "imagesPerClip"
+      );
+      if (imagesPerClipField.error) {
+        return ResponseUtils.send(
+          res,
+          ResponseUtils.validationError(imagesPerClipField.error)
+        );
+      }
+
+      if (mappingMode === "perClip") {
+        const clipValidation = TimelineUtils.validateClipAssignment(
+          imagesPerClipField.value,
+          voiceover.length,
+          images.length
+        );
+        if (!clipValidation.isValid) {
+          return ResponseUtils.send(
+            res,
+            ResponseUtils.validationError(clipValidation.errors)
+          );
+        }
+      }
+
+      const silenceDetection = {
+        noise: parseFloat(
+          req.body.silenceNoise ?? SILENCE_DETECTION_DEFAULTS.noise
+        ),
+        minDuration: parseFloat(
+          req.body.silenceMinDuration ?? SILENCE_DETECTION_DEFAULTS.minDuration
+        ),
+      };
+
+      if (mappingMode === "silence") {
+        const silenceErrors = [];
+        if (
+          !Number.isFinite(silenceDetection.noise) ||
+          silenceDetection.noise > 0 ||
+          silenceDetection.noise < -90
+        ) {
+          silenceErrors.push("silenceNoise must be between -90 and 0 (dB)");
+        }
+        if (!(silenceDetection.minDuration > 0)) {
+          silenceErrors.push(
+            "silenceMinDuration must be a positive number of seconds"
+          );
+        }
+        if (silenceErrors.length > 0) {
+          return ResponseUtils.send(
+            res,
+            ResponseUtils.validationError(silenceErrors)
+          );
+        }
+      }
+
+      // Optional background music bed, mixed under the voiceover
+      let music = null;
+      const musicFile = req.files.music?.[0];
+      const musicOptionsField = RequestUtils.parseJsonField(
+        req.body.musicOptions,
+        "musicOptions",
+        {}
+      );
+      if (musicOptionsField.error) {
+        return ResponseUtils.send(
+          res,
+          ResponseUtils.validationError(musicOptionsField.error)
+        );
+      }
+
+      if (musicFile) {
+        if (
+          !DirectoryUtils.hasAllowedExtension(
+            musicFile.originalname,
+            SUPPORTED_AUDIO_FORMATS
+          )
+        ) {
+          return ResponseUtils.send(
+            res,
+            ResponseUtils.validationError(
+              `Music must be one of: ${SUPPORTED_AUDIO_FORMATS.join(", ")}`
+            )
+          );
+        }
+
+        const musicOptions = AudioUtils.resolveMusicOptions(
+          musicOptionsField.value
+        );
+        const musicValidation = AudioUtils.validateMusicOptions(musicOptions);
+        if (!musicValidation.isValid) {
+          return ResponseUtils.send(
+            res,
+            ResponseUtils.validationError(musicValidation.errors)
+          );
+        }
+
+        music = { file: musicFile, options: musicOptions };
+      }
+
+      // Optional logo overlay: an uploaded PNG/WebP or a stored brand asset
+      let watermark = null;
+      const watermarkFile = req.files.watermark?.[0];
+      const watermarkAsset = req.body.watermarkAsset;
+      const watermarkOptionsField = RequestUtils.parseJsonField(
+        req.body.watermarkOptions,
+        "watermarkOptions",
+        {}
+      );
+      if (watermarkOptionsField.error) {
+        return ResponseUtils.send(
+          res,
+          ResponseUtils.validationError(watermarkOptionsField.error)
+        );
+      }
+
+      if (watermarkFile && watermarkAsset) {
+        return ResponseUtils.send(
+          res,
+          ResponseUtils.validationError(
+            "Use either a watermark upload or watermarkAsset, not both"
+          )
+        );
+      }
+
+      if (watermarkFile || watermarkAsset) {
+        let watermarkPath;
+
+        if (watermarkFile) {
+          if (
+            !DirectoryUtils.hasAllowedExtension(
+              watermarkFile.originalname,
+              SUPPORTED_WATERMARK_FORMATS
+            )
+          ) {
+            return ResponseUtils.send(
+              res,
+              ResponseUtils.validationError(
+                `Watermark must be one of: ${SUPPORTED_WATERMARK_FORMATS.join(
+                  ", "
+                )}`
+              )
+            );
+          }
+          watermarkPath = watermarkFile.path;
+        } else {
+          watermarkPath = WatermarkUtils.resolveAssetPath(watermarkAsset);
+          if (!watermarkPath) {
+            return ResponseUtils.send(
+              res,
+              ResponseUtils.validationError(
+                `Brand asset not found: ${watermarkAsset}`
+              )
+            );
+          }
+        }
+
+        const watermarkOptions = WatermarkUtils.resolveWatermarkOptions(
+          watermarkOptionsField.value
+        );
+        const watermarkValidation =
+          WatermarkUtils.validateWatermarkOptions(watermarkOptions);
+        if (!watermarkValidation.isValid) {
+          return ResponseUtils.send(
+            res,
+            ResponseUtils.validationError(watermarkValidation.errors)
+          );
+        }
+
+        watermark = {
+          file: watermarkFile || null,
+          asset: watermarkFile ? null : watermarkAsset,
+          path: watermarkPath,
+          options: watermarkOptions,
+        };
+      }
+
+      // How images are fitted into the frame, per request and per image
+      const imageFitField = RequestUtils.parseJsonField(
+        req.body.imageFit,
+        "imageFit"
+      );
+      if (imageFitField.error) {
+        return ResponseUtils.send(
+          res,
+          ResponseUtils.validationError(imageFitField.error)
+        );
+      }
+
+      const fitOptions = VideoUtils.resolveFitOptions(
+        {
+          fit: req.body.fit,
+          background: req.body.fitBackground,
+          perImage: imageFitField.value,
+        },
+        images.length
+      );
+      if (!fitOptions.isValid) {
+        return ResponseUtils.send(
+          res,
+          ResponseUtils.validationError(fitOptions.errors)
+        );
+      }
+
+      // Focal points and custom pans, normalized to each source image
+      const imageFocusField = RequestUtils.parseJsonField(
+        req.body.imageFocus,
+        "imageFocus"
+      );
+      if (imageFocusField.error) {
+        return ResponseUtils.send(
+          res,
+          ResponseUtils.validationError(imageFocusField.error)
+        );
+      }
+
+      const focusOptions = FramingUtils.resolveFocusOptions(
+        imageFocusField.value,
+        images.length
+      );
+      if (!focusOptions.isValid) {
+        return ResponseUtils.send(
+          res,
+          ResponseUtils.validationError(focusOptions.errors)
+        );
+      }
+
+      const outputField = RequestUtils.parseJsonField(
+        req.body.output,
+        "output",
+        {}
+      );
+      if (outputField.error) {
+        return ResponseUtils.send(
+          res,
+          ResponseUtils.validationError(outputField.error)
+        );
+      }
+
+      const outputOptions = this.resolveOutput(outputField.value);
+      if (!outputOptions.isValid) {
+        return ResponseUtils.send(
+          res,
+          ResponseUtils.validationError(outputOptions.errors)
+        );
+      }
+
       req.videoData = {
         images,
         voiceover, // Array of audio files
         imageCount: images.length,
         audioCount: voiceover.length,
+        timeline: timelineField.value,
+        mappingMode,
+        imagesPerClip: imagesPerClipField.value,
+        silenceDetection,
+        music,
+        watermark,
+        fit: fitOptions.fit,
+        focus: focusOptions.focus,
+        output: outputOptions.output,
       };
       next();
     } catch (error) {
@@ -92,6 +414,248 @@ class VideoMiddleware {
     }
   }
 
+  /**
+   * Rebuild the request a mapping was rendered from out of its project, so
+   * it can be rendered again with a new `effects` and/or `output` body. The
+   * stored uploads are reused; when the voiceover clips are gone, their
+   * concatenated file is used instead. Responds 410 when source files have
+   * been cleaned up.
+   */
+  async validateRerenderRequest(req, res, next) {
+    try {
+      const mapping = Render.findByIdOrLegacyId(req.params.id);
+      if (!mapping) {
+        return ResponseUtils.send(res, ResponseUtils.notFound("Mapping"));
+      }
+
+      const project = Project.findById(mapping.projectId);
+      if (!project) {
+        return ResponseUtils.send(res, ResponseUtils.notFound("Project"));
+      }
+
+      const body = req.body || {};
+      const effectsField = RequestUtils.parseJsonField(body.effects, "effects");
+      const outputField = RequestUtils.parseJsonField(body.output, "output");
+      const fieldErrors = [effectsField.error, outputField.error].filter(
+        Boolean
+      );
+      [
+        ["effects", effectsField.value],
+        ["output", outputField.value],
+      ].forEach(([name, value]) => {
+        if (
+          value !== null &&
+          (typeof value !== "object" || Array.isArray(value))
+        ) {
+          fieldErrors.push(`${name} must be an object`);
+        }
+      });
+      if (fieldErrors.length > 0) {
+        return ResponseUtils.send(
+          res,
+          ResponseUtils.validationError(fieldErrors)
+        );
+      }
+
+      // Output settings in the body change the mapping's, one at a time;
+      // renders from before output profiles fall back to the project's
+      const outputOptions = this.resolveOutput({
+        ...(MappingUtils.getOutputOptions(mapping.output) ||
+          MappingUtils.getOutputOptions(project.output)),
+        ...outputField.value,
+      });
+      if (!outputOptions.isValid) {
+        return ResponseUtils.send(
+          res,
+          ResponseUtils.validationError(outputOptions.errors)
+        );
+      }
+      const { output } = outputOptions;
+
+      const missingFiles = [];
+      const toFile = async (assetId, missing = missingFiles) => {
+        const asset = Asset.findById(assetId);
+        if (!asset || !(await fs.pathExists(asset.path))) {
+          missing.push(asset?.originalName || assetId);
+          return null;
+        }
+        return Asset.toFile(asset);
+      };
+      const toFiles = async (assetIds, missing) => {
+        const files = [];
+        for (const assetId of assetIds) {
+          files.push(await toFile(assetId, missing));
+        }
+        return files;
+      };
+
+      const images = await toFiles(project.images);
+
+      const missingVoiceover = [];
+      let voiceover = await toFiles(project.voiceover, missingVoiceover);
+      let clipDurations = null;
+      if (missingVoiceover.length > 0) {
+        const concatenated = Project.getConcatenatedVoiceover(project);
+        const concatenatedPath =
+          concatenated &&
+          path.join(
+            DirectoryUtils.getUploadDirsFromEnv().audio,
+            path.basename(concatenated.filename)
+          );
+
+        if (concatenatedPath && (await fs.pathExists(concatenatedPath))) {
+          voiceover = [
+            {
+              filename: path.basename(concatenatedPath),
+              originalname: path.basename(concatenatedPath),
+              size: (await fs.stat(concatenatedPath)).size,
+              path: concatenatedPath,
+            },
+          ];
+          clipDurations = concatenated.clipDurations;
+        } else {
+          missingFiles.push(...missingVoiceover);
+        }
+      }
+
+      const music = project.music
+        ? {
+            file: await toFile(project.music.asset),
+            options: project.music.options,
+          }
+        : null;
+
+      let watermark = null;
+      if (project.watermark) {
+        const { asset, brandAsset, options } = project.watermark;
+        const file = asset ? await toFile(asset) : null;
+        const watermarkPath = asset
+          ? file?.path
+          : WatermarkUtils.resolveAssetPath(brandAsset);
+        if (!asset && !watermarkPath) {
+          missingFiles.push(`brand asset ${brandAsset}`);
+        }
+        watermark = {
+          file,
+          asset: asset ? null : brandAsset,
+          path: watermarkPath,
+          options,
+        };
+      }
+
+      let subtitles = null;
+      if (project.subtitles) {
+        const { asset, ...subtitleSettings } = project.subtitles;
+
+        // Stored before the current rules, the style is checked again
+        const subtitleValidation =
+          SubtitleUtils.validateSubtitleOptions(subtitleSettings);
+        if (!subtitleValidation.isValid) {
+          return ResponseUtils.send(
+            res,
+            ResponseUtils.validationError(subtitleValidation.errors)
+          );
+        }
+        subtitles = subtitleSettings;
+        if (asset) {
+          const file = await toFile(asset);
+          subtitles = file
+            ? {
+                ...subtitleSettings,
+                file,
+                cues: await SubtitleUtils.parseSubtitleFile(file.path),
+              }
+            : null;
+        }
+      }
+
+      if (missingFiles.length > 0) {
+        return ResponseUtils.send(
+          res,
+          ResponseUtils.error(
+            "Source files of this mapping are no longer available",
+            410,
+            { type: "SourceFilesMissingError", missingFiles }
+          )
+        );
+      }
+
+      // New effects turn any mapping into an effects render; without them
+      // the mapping keeps its own type and effects (the project's for
+      // legacy records that have none)
+      const type = effectsField.value
+        ? "effects_video"
+        : mapping.type || project.type;
+      req.body = {
+        ...body,
+        effects: effectsField.value || mapping.effects || project.effects || {},
+      };
+
+      req.videoData = {
+        images,
+        voiceover,
+        imageCount: images.length,
+        audioCount: voiceover.length,
+        clipDurations,
+        timeline: project.timeline || null,
+        mappingMode: project.mappingMode || "equal",
+        imagesPerClip: project.imagesPerClip || null,
+        silenceDetection: project.silenceDetection || {
+          ...SILENCE_DETECTION_DEFAULTS,
+        },
+        transcription: project.transcription || null,
+        subtitles,
+        music,
+        watermark,
+        fit: project.fit || VideoUtils.resolveFitOptions({}, images.length).fit,
+        focus:
+          project.focus ||
+          FramingUtils.resolveFocusOptions(null, images.length).focus,
+        output,
+        rerender: {
+          type,
+          projectId: project.id,
+          revisionOf: mapping.id,
+        },
+      };
+      next();
+    } catch (error) {
+      return ResponseUtils.send(
+        res,
+        ResponseUtils.error("Re-render validation failed", 500, {
+          originalError: error.message,
+        })
+      );
+    }
+  }
+
+  // Output profile, format, HLS renditions and poster time from the
+  // `output` field
+  resolveOutput(value = {}) {
+    const outputProfile = VideoUtils.resolveOutputProfile(value);
+    const outputFormat = VideoUtils.resolveOutputFormat(value);
+    const hlsOptions = HlsUtils.resolveHlsOptions(value);
+    const posterOption = ThumbnailUtils.resolvePosterOption(value);
+
+    const failed = [outputProfile, outputFormat, hlsOptions, posterOption].find(
+      (result) => !result.isValid
+    );
+    if (failed) {
+      return { isValid: false, errors: failed.errors, output: null };
+    }
+
+    return {
+      isValid: true,
+      errors: [],
+      output: {
+        ...outputProfile.output,
+        format: outputFormat.format,
+        hls: hlsOptions.hls,
+        posterAt: posterOption.posterAt,
+      },
+    };
+  }
+
   handleUploadError(err, req, res, next) {
     if (err instanceof multer.MulterError) {
       if (err.code === "LIMIT_FILE_SIZE") {
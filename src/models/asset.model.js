@@ -0,0 +1,128 @@
+const fs = require("fs-extra");
+const JsonlStore = require("./store");
+
+const store = new JsonlStore("assets", "ast");
+
+const toRecord = (data) => ({
+  kind: data.kind,
+  filename: data.filename,
+  originalName: data.originalName || data.filename,
+  mimeType: data.mimeType || null,
+  size: data.size ?? null,
+  path: data.path,
+  ...(data.library && {
+    library: true,
+    sha256: data.sha256,
+    metadata: data.metadata || null,
+  }),
+  ...(data.createdAt && { createdAt: data.createdAt }),
+});
+
+/**
+ * An uploaded file: an image or voiceover (kind `audio`), music, a
+ * watermark or subtitles.
+ * Library assets (`library: true`) were uploaded to /api/assets on their
+ * own; they carry a SHA-256 of their contents and probe metadata, and can
+ * be used by any number of projects.
+ */
+class Asset {
+  static get store() {
+    return store;
+  }
+
+  static findById(id) {
+    return store.get(id);
+  }
+
+  static findAll() {
+    return store.list();
+  }
+
+  static findLibrary() {
+    return store.list().filter((asset) => asset.library);
+  }
+
+  static findBySha256(sha256) {
+    return (
+      store.list().find((asset) => asset.library && asset.sha256 === sha256) ||
+      null
+    );
+  }
+
+  static create(data) {
+    return store.insert(toRecord(data));
+  }
+
+  /**
+   * Add an uploaded file to the library unless its SHA-256 is already
+   * there. The lookup and the insert run as one step in the store's write
+   * queue, so concurrent uploads of the same file resolve to one asset. A
+   * known hash whose file was cleaned up takes the new file and keeps its
+   * id. Resolves `{ asset, duplicate }`.
+   */
+  static async addToLibrary(data) {
+    let duplicate = null;
+
+    const asset = await store.write(async () => {
+      const existing = Asset.findBySha256(data.sha256);
+      if (existing && (await fs.pathExists(existing.path))) {
+        duplicate = existing;
+        return null;
+      }
+
+      const now = new Date().toISOString();
+      const record = existing
+        ? {
+            ...existing,
+            filename: data.filename,
+            mimeType: data.mimeType || null,
+            size: data.size ?? null,
+            path: data.path,
+            metadata: data.metadata || null,
+            updatedAt: now,
+          }
+        : {
+            createdAt: now,
+            ...toRecord({ ...data, library: true }),
+            id: store.createId(),
+            updatedAt: now,
+          };
+
+      return { op: "put", id: record.id, record };
+    });
+
+    return duplicate
+      ? { asset: duplicate, duplicate: true }
+      : { asset, duplicate: false };
+  }
+
+  static createFromUpload(file, kind) {
+    return Asset.create({
+      kind,
+      filename: file.filename,
+      originalName: file.originalname,
+      mimeType: file.mimetype,
+      size: file.size,
+      path: file.path,
+    });
+  }
+
+  // The asset in the shape of a multer upload, as the render pipeline
+  // expects it
+  static toFile(asset) {
+    return {
+      assetId: asset.id,
+      filename: asset.filename,
+      originalname: asset.originalName,
+      mimetype: asset.mimeType,
+      size: asset.size,
+      path: asset.path,
+    };
+  }
+
+  static remove(id) {
+    return store.remove(id);
+  }
+}
+
+module.exports = Asset;
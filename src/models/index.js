@@ -1,9 +1,28 @@
-export default {
-  // Define your data models here
-  // Example:
-  // User: {
-  //   name: String,
-  //   email: String,
-  //   password: String
-  // },
-};
\ No newline at end of file
+// Models barrel export file; records live in the data directory
+const Asset = require("./asset.model");
+const Project = require("./project.model");
+const Render = require("./render.model");
+const { importLegacyMappings } = require("./migrate");
+
+// Load every collection, then bring in mappings.json from older versions
+async function initializeModels() {
+  await Promise.all([
+    Asset.store.load(),
+    Project.store.load(),
+    Render.store.load(),
+  ]);
+  await importLegacyMappings();
+
+  console.log(
+    `🗄️ Project store ready: ${Project.findAll().length} project(s), ${
+      Render.findAll().length
+    } render(s), ${Asset.findAll().length} asset(s)`
+  );
+}
+
+module.exports = {
+  Asset,
+  Project,
+  Render,
+  initializeModels,
+};
@@ -0,0 +1,109 @@
+const fs = require("fs-extra");
+const path = require("path");
+const { DirectoryUtils } = require("../utils");
+const { ASSET_KINDS } = require("../constants/constants");
+const Asset = require("./asset.model");
+const Project = require("./project.model");
+const Render = require("./render.model");
+
+const LEGACY_MAPPINGS_FILE = "mappings.json";
+
+// Asset records for the files a legacy mapping lists
+async function importLegacyFiles(files, kind, directory) {
+  const ids = [];
+  for (const file of files) {
+    if (!file?.filename) continue;
+    const asset = await Asset.create({
+      kind,
+      filename: file.filename,
+      originalName: file.originalName,
+      size: file.size,
+      path: path.join(directory, file.filename),
+    });
+    ids.push(asset.id);
+  }
+  return ids;
+}
+
+async function importLegacyMapping(mapping) {
+  const { images, audio } = DirectoryUtils.getUploadDirsFromEnv();
+  const voiceoverFiles =
+    mapping.voiceover?.type === "concatenated"
+      ? mapping.voiceover.sourceFiles
+      : [mapping.voiceover];
+  const createdAt = mapping.timestamp || undefined;
+
+  const project = await Project.create({
+    type: mapping.type || "video",
+    images: await importLegacyFiles(
+      mapping.images || [],
+      ASSET_KINDS.images,
+      images
+    ),
+    voiceover: await importLegacyFiles(
+      voiceoverFiles || [],
+      ASSET_KINDS.audio,
+      audio
+    ),
+    music: null,
+    watermark: null,
+    subtitles: null,
+    mappingMode: mapping.settings?.mappingMode || "equal",
+    fit: mapping.settings?.fit || null,
+    focus: mapping.settings?.focus || null,
+    effects: mapping.effects || null,
+    legacyId: mapping.id ?? null,
+    ...(createdAt && { createdAt }),
+  });
+
+  return Render.create(project.id, {
+    ...mapping,
+    legacyId: mapping.id ?? null,
+  });
+}
+
+/**
+ * Import output/mappings.json from before the project store. Each mapping
+ * becomes a project (with assets for its files) and a render. The file is
+ * renamed once imported; mappings already imported (matched by their old
+ * id) are skipped, so an interrupted import can be run again.
+ */
+async function importLegacyMappings() {
+  const { output } = DirectoryUtils.getUploadDirsFromEnv();
+  const legacyFile = path.join(output, LEGACY_MAPPINGS_FILE);
+
+  if (!(await fs.pathExists(legacyFile))) return 0;
+
+  let mappings;
+  try {
+    mappings = JSON.parse(await fs.readFile(legacyFile, "utf8"));
+  } catch (error) {
+    console.error(
+      `⚠️ Could not import ${LEGACY_MAPPINGS_FILE}; leaving it in place:`,
+      error.message
+    );
+    return 0;
+  }
+
+  if (!Array.isArray(mappings)) mappings = [];
+
+  const imported = new Set(
+    Render.findAll()
+      .map((render) => render.legacyId)
+      .filter((id) => id !== undefined && id !== null)
+  );
+
+  let count = 0;
+  for (const mapping of mappings) {
+    if (!mapping || imported.has(mapping.id)) continue;
+    await importLegacyMapping(mapping);
+    count++;
+  }
+
+  await fs.move(legacyFile, `${legacyFile}.imported`, { overwrite: true });
+  console.log(`📥 Imported ${count} mapping(s) from ${LEGACY_MAPPINGS_FILE}`);
+
+  return count;
+}
+
+module.exports = { importLegacyMappings };
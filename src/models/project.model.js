@@ -0,0 +1,124 @@
+const JsonlStore = require("./store");
+const { MappingUtils } = require("../utils");
+const { ASSET_KINDS } = require("../constants/constants");
+const Asset = require("./asset.model");
+const Render = require("./render.model");
+
+const store = new JsonlStore("projects", "prj");
+
+/**
+ * The inputs and settings a video is rendered from. Uploaded files are
+ * stored as assets and referenced by id, so a project can be rendered
+ * again later.
+ */
+class Project {
+  static get store() {
+    return store;
+  }
+
+  static findById(id) {
+    return store.get(id);
+  }
+
+  static findAll() {
+    return store.list();
+  }
+
+  // Store the uploads of a validated request as assets and the remaining
+  // settings as a project
+  static async createFromRequest(
+    type,
+    videoData,
+    effects = null,
+    concatenatedVoiceover = null
+  ) {
+    // Files picked from the asset library are referenced, not copied
+    const toAssets = async (files, kind) => {
+      const ids = [];
+      for (const file of files) {
+        ids.push(file.assetId || (await Asset.createFromUpload(file, kind)).id);
+      }
+      return ids;
+    };
+
+    const { music, watermark, subtitles } = videoData;
+    const { file: subtitleFile, cues, ...subtitleSettings } = subtitles || {};
+
+    return store.insert({
+      type,
+      images: await toAssets(videoData.images, ASSET_KINDS.images),
+      voiceover: await toAssets(videoData.voiceover, ASSET_KINDS.audio),
+      music: music
+        ? {
+            asset: (await Asset.createFromUpload(music.file, "music")).id,
+            options: music.options,
+          }
+        : null,
+      watermark: watermark
+        ? {
+            asset: watermark.file
+              ? (await Asset.createFromUpload(watermark.file, "watermark")).id
+              : null,
+            brandAsset: watermark.asset,
+            options: watermark.options,
+          }
+        : null,
+      subtitles: subtitles
+        ? {
+            ...subtitleSettings,
+            asset: subtitleFile
+              ? (await Asset.createFromUpload(subtitleFile, "subtitles")).id
+              : null,
+          }
+        : null,
+      transcription: videoData.transcription || null,
+      timeline: videoData.timeline || null,
+      mappingMode: videoData.mappingMode,
+      imagesPerClip: videoData.imagesPerClip || null,
+      silenceDetection: videoData.silenceDetection || null,
+      fit: videoData.fit || null,
+      focus: videoData.focus || null,
+      output: videoData.output || null,
+      effects,
+      concatenatedVoiceover,
+    });
+  }
+
+  // The file the voiceover clips were joined into, so the project can be
+  // rendered again once the clips are gone. Projects from before it was
+  // recorded fall back to their renders.
+  static getConcatenatedVoiceover(project) {
+    if (project.concatenatedVoiceover) return project.concatenatedVoiceover;
+
+    return (
+      Render.findByProject(project.id)
+        .map((render) => MappingUtils.getConcatenatedVoiceover(render))
+        .find(Boolean) || null
+    );
+  }
+
+  // Every asset id a project references
+  static getAssetIds(project) {
+    return [
+      ...(project.images || []),
+      ...(project.voiceover || []),
+      project.music?.asset,
+      project.watermark?.asset,
+      project.subtitles?.asset,
+    ].filter(Boolean);
+  }
+
+  static create(data) {
+    return store.insert(data);
+  }
+
+  static update(id, changes) {
+    return store.update(id, changes);
+  }
+
+  static remove(id) {
+    return store.remove(id);
+  }
+}
+
+module.exports = Project;
@@ -0,0 +1,57 @@
+const JsonlStore = require("./store");
+
+const store = new JsonlStore("renders", "rnd");
+
+/**
+ * One finished render of a project. The record is the render's mapping
+ * (output, timeline, settings, applied effects, ...) as returned by the
+ * mappings API, plus the id of the project it was rendered from.
+ */
+class Render {
+  static get store() {
+    return store;
+  }
+
+  static findById(id) {
+    return store.get(id);
+  }
+
+  static findAll() {
+    return store.list();
+  }
+
+  // Mappings imported from mappings.json can still be found by their old
+  // numeric id
+  static findByIdOrLegacyId(id) {
+    return (
+      store.get(id) ||
+      store
+        .list()
+        .find(
+          (render) =>
+            render.legacyId !== undefined &&
+            render.legacyId !== null &&
+            String(render.legacyId) === String(id)
+        ) ||
+      null
+    );
+  }
+
+  static findByProject(projectId) {
+    return store.list().filter((render) => render.projectId === projectId);
+  }
+
+  static create(projectId, mapping) {
+    return store.insert({
+      ...mapping,
+      projectId,
+      ...(mapping.timestamp && { createdAt: mapping.timestamp }),
+    });
+  }
+
+  static remove(id) {
+    return store.remove(id);
+  }
+}
+
+module.exports = Render;
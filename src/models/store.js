@@ -0,0 +1,175 @@
+const crypto = require("crypto");
+const fs = require("fs-extra");
+const path = require("path");
+const { DirectoryUtils } = require("../utils");
+
+// Logs are rewritten without superseded entries once they hold this many
+// lines and at least twice as many lines as live records
+const COMPACT_MIN_LINES = 500;
+
+/**
+ * One collection stored as an append-only JSON Lines log in the data
+ * directory. Every write appends `{ op, id, record }`; the current state is
+ * rebuilt by replaying the log on load and kept in memory.
+ *
+ * Writes go through a per-store queue, so concurrent renders never lose
+ * each other's entries, and a torn last line (e.g. after a crash) only
+ * loses that one write instead of the whole history.
+ */
+class JsonlStore {
+  constructor(name, idPrefix) {
+    this.name = name;
+    this.idPrefix = idPrefix;
+    this.records = new Map();
+    this.lineCount = 0;
+    this.queue = Promise.resolve();
+  }
+
+  getFilePath() {
+    const { data } = DirectoryUtils.getUploadDirsFromEnv();
+    return path.join(data, `${this.name}.jsonl`);
+  }
+
+  createId() {
+    return `${this.idPrefix}_${crypto.randomUUID()}`;
+  }
+
+  async load() {
+    const filePath = this.getFilePath();
+    this.records.clear();
+    this.lineCount = 0;
+
+    if (!(await fs.pathExists(filePath))) return;
+
+    const contents = await fs.readFile(filePath, "utf8");
+    const lines = contents.split("\n").filter((line) => line.trim() !== "");
+    let skipped = 0;
+
+    // End a torn last line so the next append starts on a line of its own
+    if (contents !== "" && !contents.endsWith("\n")) {
+      await fs.appendFile(filePath, "\n", "utf8");
+    }
+
+    lines.forEach((line) => {
+      try {
+        this.apply(JSON.parse(line));
+      } catch (error) {
+        skipped++;
+      }
+    });
+    this.lineCount = lines.length;
+
+    if (skipped > 0) {
+      console.warn(
+        `⚠️ Skipped ${skipped} unreadable line(s) in ${path.basename(filePath)}`
+      );
+    }
+
+    if (
+      this.lineCount >= COMPACT_MIN_LINES &&
+      this.lineCount >= this.records.size * 2
+    ) {
+      await this.compact();
+    }
+  }
+
+  apply(entry) {
+    if (entry.op === "delete") {
+      this.records.delete(entry.id);
+    } else if (entry.op === "put" && entry.record) {
+      this.records.set(entry.id, entry.record);
+    }
+  }
+
+  // Runs `task` after every write queued before it
+  enqueue(task) {
+    const run = this.queue.then(task);
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  // `buildEntry` (sync or async) runs inside the queue so it sees every
+  // earlier write and no later one can interleave with it
+  write(buildEntry) {
+    return this.enqueue(async () => {
+      const entry = await buildEntry();
+      if (!entry) return null;
+
+      const filePath = this.getFilePath();
+      await DirectoryUtils.ensureDirectories([path.dirname(filePath)]);
+      await fs.appendFile(
+        filePath,
+        `${JSON.stringify({ ...entry, at: new Date().toISOString() })}\n`,
+        "utf8"
+      );
+
+      this.apply(entry);
+      this.lineCount++;
+      return entry.op === "delete" ? entry.id : entry.record;
+    });
+  }
+
+  get(id) {
+    return this.records.get(id) || null;
+  }
+
+  list() {
+    return Array.from(this.records.values());
+  }
+
+  insert(record) {
+    const now = new Date().toISOString();
+    const id = this.createId();
+
+    return this.write(() => ({
+      op: "put",
+      id,
+      record: { createdAt: now, ...record, id, updatedAt: now },
+    }));
+  }
+
+  update(id, changes) {
+    return this.write(() => {
+      const existing = this.records.get(id);
+      if (!existing) return null;
+
+      return {
+        op: "put",
+        id,
+        record: {
+          ...existing,
+          ...changes,
+          id,
+          createdAt: existing.createdAt,
+          updatedAt: new Date().toISOString(),
+        },
+      };
+    });
+  }
+
+  remove(id) {
+    return this.write(() =>
+      this.records.has(id) ? { op: "delete", id } : null
+    );
+  }
+
+  // Rewrite the log with one entry per live record
+  compact() {
+    return this.enqueue(async () => {
+      const filePath = this.getFilePath();
+      const at = new Date().toISOString();
+      const lines = this.list().map(
+        (record) =>
+          `${JSON.stringify({ op: "put", id: record.id, record, at })}\n`
+      );
+
+      await fs.writeFile(`${filePath}.tmp`, lines.join(""), "utf8");
+      await fs.rename(`${filePath}.tmp`, filePath);
+      this.lineCount = lines.length;
+
+      console.log(`🗜️ Compacted ${path.basename(filePath)}`);
+    });
+  }
+}
+
+module.exports = JsonlStore;
@@ -0,0 +1,34 @@
+const { Router } = require("express");
+const AssetController = require("../controllers/asset.controller.js");
+const AssetMiddleware = require("../middleware/asset.middleware.js");
+const VideoMiddleware = require("../middleware/video.middleware.js");
+
+const router = Router();
+const assetController = new AssetController();
+const assetMiddleware = new AssetMiddleware();
+const videoMiddleware = new VideoMiddleware();
+
+async function setAssetRoutes(app) {
+  try {
+    // Upload images and audio to the library, deduped by content hash
+    router.post(
+      "/",
+      assetMiddleware.uploadFiles(),
+      videoMiddleware.handleUploadError.bind(videoMiddleware),
+      assetController.uploadAssets.bind(assetController)
+    );
+
+    // List and search library assets
+    router.get("/", assetController.listAssets.bind(assetController));
+
+    // Mount asset routes under /api/assets
+    app.use("/api/assets", router);
+
+    console.log("✅ Asset routes initialized successfully");
+  } catch (error) {
+    console.error("❌ Failed to initialize asset routes:", error);
+    throw error;
+  }
+}
+
+module.exports = setAssetRoutes;
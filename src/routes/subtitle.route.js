@@ -0,0 +1,24 @@
+const { Router } = require("express");
+const SubtitleController = require("../controllers/subtitle.controller.js");
+
+const router = Router();
+const subtitleController = new SubtitleController();
+
+async function setSubtitleRoutes(app) {
+  try {
+    router.get(
+      "/:filename",
+      subtitleController.downloadSubtitle.bind(subtitleController)
+    );
+
+    // Mount subtitle routes under /api/subtitles
+    app.use("/api/subtitles", router);
+
+    console.log("✅ Subtitle routes initialized successfully");
+  } catch (error) {
+    console.error("❌ Failed to initialize subtitle routes:", error);
+    throw error;
+  }
+}
+
+module.exports = setSubtitleRoutes;
@@ -1,23 +1,32 @@
 const { Router } = require("express");
 const VideoController = require("../controllers/video.controller.js");
 const VideoMiddleware = require("../middleware/video.middleware.js");
-const { ResponseUtils } = require("../utils");
+const SubtitleMiddleware = require("../middleware/subtitle.middleware.js");
+const AssetMiddleware = require("../middleware/asset.middleware.js");
+const { ResponseUtils, PresetUtils } = require("../utils");
 
 const router = Router();
 const videoController = new VideoController();
 const videoMiddleware = new VideoMiddleware();
+const subtitleMiddleware = new SubtitleMiddleware();
+const assetMiddleware = new AssetMiddleware();
 
 async function setVideoRoutes(app) {
   try {
     // Initialize middleware (directories, etc.)
     await videoMiddleware.initialize();
+    await PresetUtils.loadPresets();
 
-    // Video generation routes
+    // Video generation routes. Library assets can be passed as imageIds /
+    // voiceoverIds next to uploads; "upload" entries among the ids set
+    // where each uploaded file goes, otherwise uploads come first
     router.post(
       "/generate",
       videoMiddleware.uploadFiles(),
       videoMiddleware.handleUploadError.bind(videoMiddleware),
+      assetMiddleware.resolveAssetIds.bind(assetMiddleware),
       videoMiddleware.validateVideoRequest.bind(videoMiddleware),
+      subtitleMiddleware.validateSubtitleRequest.bind(subtitleMiddleware),
       videoController.generateVideo.bind(videoController)
     );
 
@@ -26,23 +35,76 @@ async function setVideoRoutes(app) {
       "/generate-with-effects",
       videoMiddleware.uploadFiles(),
       videoMiddleware.handleUploadError.bind(videoMiddleware),
+      assetMiddleware.resolveAssetIds.bind(assetMiddleware),
       videoMiddleware.validateVideoRequest.bind(videoMiddleware),
+      subtitleMiddleware.validateSubtitleRequest.bind(subtitleMiddleware),
       videoController.generateVideoWithEffects.bind(videoController)
     );
 
+    // Poster frame for a render
+    router.get(
+      "/thumbnail/:filename",
+      videoController.getThumbnail.bind(videoController)
+    );
+
+    // Scrub sprite sheet image and its WebVTT index
+    router.get(
+      "/sprites/:filename",
+      videoController.getSprite.bind(videoController)
+    );
+
+    // HLS master playlist, rendition playlists and segments
+    router.get(
+      "/stream/:id/:file",
+      videoController.streamVideo.bind(videoController)
+    );
+    router.get(
+      "/stream/:id/:rendition/:file",
+      videoController.streamVideo.bind(videoController)
+    );
+
+    // Render job status
+    router.get("/jobs/:id", videoController.getJobStatus.bind(videoController));
+
+    // Live render progress (Server-Sent Events)
+    router.get(
+      "/jobs/:id/events",
+      videoController.streamJobEvents.bind(videoController)
+    );
+
     // Get available effects and presets
     router.get(
       "/effects",
       videoController.getAvailableEffects.bind(videoController)
     );
 
-    // Preview effect configuration
+    // Team presets; built-in presets are read-only
+    router.post(
+      "/effects/presets",
+      videoController.createEffectPreset.bind(videoController)
+    );
+    router.put(
+      "/effects/presets/:name",
+      videoController.updateEffectPreset.bind(videoController)
+    );
+    router.delete(
+      "/effects/presets/:name",
+      videoController.deleteEffectPreset.bind(videoController)
+    );
+
+    // Render (or fetch the cached) preview clip for an effect
     router.get(
       "/effects/preview/:effectType/:effectName",
       videoController.previewEffect.bind(videoController)
     );
 
-    // Preview preset configuration
+    // Rendered preview clips
+    router.get(
+      "/effects/previews/:filename",
+      videoController.getEffectPreviewFile.bind(videoController)
+    );
+
+    // Render (or fetch the cached) preview clip for a preset
     router.get(
       "/effects/preset/:preset",
       (req, res, next) => {
@@ -65,6 +127,21 @@ async function setVideoRoutes(app) {
     );
 
     router.get("/mappings", videoController.getMappings.bind(videoController));
+    router.get(
+      "/mappings/:id",
+      videoController.getMapping.bind(videoController)
+    );
+    router.delete(
+      "/mappings/:id",
+      videoController.deleteMapping.bind(videoController)
+    );
+
+    // Render a mapping again from its stored uploads with new effects/output
+    router.post(
+      "/mappings/:id/rerender",
+      videoMiddleware.validateRerenderRequest.bind(videoMiddleware),
+      videoController.rerenderMapping.bind(videoController)
+    );
 
     // Mount video routes under /api/video
     app.use("/api/video", router);
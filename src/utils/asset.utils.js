@@ -0,0 +1,134 @@
+const crypto = require("crypto");
+const fs = require("fs-extra");
+const ffmpeg = require("fluent-ffmpeg");
+const { ASSET_KINDS, ASSET_QUERY_DEFAULTS } = require("../constants/constants");
+
+class AssetUtils {
+  // SHA-256 of a file's contents, read as a stream
+  static hashFile(filePath) {
+    return new Promise((resolve, reject) => {
+      const hash = crypto.createHash("sha256");
+      fs.createReadStream(filePath)
+        .on("error", reject)
+        .on("data", (chunk) => hash.update(chunk))
+        .on("end", () => resolve(hash.digest("hex")));
+    });
+  }
+
+  /**
+   * Probe metadata stored with a library asset: dimensions for images,
+   * duration and stream details for audio. Rejects when ffprobe cannot read
+   * the file.
+   */
+  static probeMetadata(filePath, kind) {
+    return new Promise((resolve, reject) => {
+      ffmpeg.ffprobe(filePath, (err, info) => {
+        if (err) return reject(err);
+
+        const codecType = kind === "image" ? "video" : "audio";
+        const stream = info.streams?.find((s) => s.codec_type === codecType);
+        if (!stream) {
+          return reject(new Error(`No ${kind} stream found`));
+        }
+
+        if (kind === "image") {
+          return resolve({
+            width: stream.width,
+            height: stream.height,
+            codec: stream.codec_name,
+          });
+        }
+
+        resolve({
+          duration:
+            parseFloat(stream.duration ?? info.format?.duration ?? 0) || 0,
+          codec: stream.codec_name,
+          sampleRate: parseInt(stream.sample_rate, 10) || null,
+          channels: stream.channels || null,
+          bitRate:
+            parseInt(stream.bit_rate ?? info.format?.bit_rate, 10) || null,
+        });
+      });
+    });
+  }
+
+  /**
+   * Asset ids from a form or JSON field: an array, a JSON array string or a
+   * comma-separated list. Returns `{ ids, error }`.
+   */
+  static parseIdList(value, fieldName) {
+    if (value === undefined || value === null || value === "") {
+      return { ids: [], error: null };
+    }
+
+    let ids = value;
+    if (typeof value === "string") {
+      const trimmed = value.trim();
+      if (trimmed.startsWith("[")) {
+        try {
+          ids = JSON.parse(trimmed);
+        } catch (error) {
+          return { ids: [], error: `${fieldName} must be valid JSON` };
+        }
+      } else {
+        ids = trimmed.split(",");
+      }
+    }
+
+    if (!Array.isArray(ids) || ids.some((id) => typeof id !== "string")) {
+      return { ids: [], error: `${fieldName} must be a list of asset ids` };
+    }
+
+    return { ids: ids.map((id) => id.trim()).filter(Boolean), error: null };
+  }
+
+  // Read the asset list query: kind, name search (q) and page/limit
+  static resolveAssetQuery(query = {}) {
+    const errors = [];
+    const kinds = Object.values(ASSET_KINDS);
+
+    if (query.kind && !kinds.includes(query.kind)) {
+      errors.push(
+        `Invalid kind: ${query.kind}. Use one of ${kinds.join(", ")}`
+      );
+    }
+
+    const page = Number(query.page ?? ASSET_QUERY_DEFAULTS.page);
+    const limit = Number(query.limit ?? ASSET_QUERY_DEFAULTS.limit);
+    if (!Number.isInteger(page) || page < 1) {
+      errors.push("page must be a positive integer");
+    }
+    if (
+      !Number.isInteger(limit) ||
+      limit < 1 ||
+      limit > ASSET_QUERY_DEFAULTS.maxLimit
+    ) {
+      errors.push(
+        `limit must be between 1 and ${ASSET_QUERY_DEFAULTS.maxLimit}`
+      );
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors,
+      kind: query.kind || null,
+      search: query.q ? String(query.q).toLowerCase() : null,
+      page,
+      limit,
+    };
+  }
+
+  static matchesQuery(asset, query) {
+    if (query.kind && asset.kind !== query.kind) return false;
+    if (
+      query.search &&
+      !asset.originalName.toLowerCase().includes(query.search) &&
+      !asset.sha256.startsWith(query.search)
+    ) {
+      return false;
+    }
+    return true;
+  }
+}
+
+module.exports = AssetUtils;
@@ -4,6 +4,8 @@ const fsp = fs.promises;
 const path = require("path");
 const os = require("os");
 const DirectoryUtils = require("./directory.utils");
+const RequestUtils = require("./request.utils");
+const { MUSIC_DEFAULTS } = require("../constants/constants");
 
 class AudioUtils {
   /**
@@ -28,11 +30,17 @@ class AudioUtils {
       const duration = await AudioUtils.getAudioDuration(outputPath).catch(
         () => 60
       );
-      return { outputPath, totalDuration: duration, sourceFiles: 1 };
+      return {
+        outputPath,
+        totalDuration: duration,
+        sourceFiles: 1,
+        clipDurations: [duration],
+      };
     }
 
     const tmpDir = await fsp.mkdtemp(path.join(os.tmpdir(), "vm-audio-"));
     const wavFiles = [];
+    const clipDurations = [];
 
     try {
       // Convert sequentially to avoid concurrent ffmpeg overload
@@ -66,6 +74,9 @@ class AudioUtils {
           if (!cmd) rej(new Error("Failed to start ffmpeg for conversion"));
         });
         wavFiles.push(out);
+        clipDurations.push(
+          await AudioUtils.getAudioDuration(out).catch(() => 0)
+        );
       }
 
       // Build concat list
@@ -129,7 +140,12 @@ class AudioUtils {
       const totalDuration = await AudioUtils.getAudioDuration(outputPath).catch(
         () => 60
       );
-      return { outputPath, totalDuration, sourceFiles: audioPaths.length };
+      return {
+        outputPath,
+        totalDuration,
+        sourceFiles: audioPaths.length,
+        clipDurations,
+      };
     } finally {
       try {
         await fsp.rm(tmpDir, { recursive: true, force: true });
@@ -139,6 +155,77 @@ class AudioUtils {
     }
   }
 
+  /**
+   * Convert audio to mono 16-bit PCM WAV, the input format speech
+   * recognition engines such as whisper.cpp expect.
+   */
+  static convertForSpeechRecognition(
+    inputPath,
+    outputPath,
+    sampleRate = 16000
+  ) {
+    return new Promise((resolve, reject) => {
+      ffmpeg(inputPath)
+        .noVideo()
+        .audioCodec("pcm_s16le")
+        .audioChannels(1)
+        .audioFrequency(sampleRate)
+        .format("wav")
+        .on("end", () => resolve(outputPath))
+        .on("error", (err) => reject(err))
+        .save(outputPath);
+    });
+  }
+
+  /**
+   * Find pauses with FFmpeg's silencedetect filter.
+   * Resolves with [{ start, end, duration }] in seconds; a pause still open
+   * when the file ends is closed at the audio duration.
+   */
+  static detectSilences(audioPath, options = {}) {
+    const { noise = -30, minDuration = 0.3, audioDuration = null } = options;
+
+    return new Promise((resolve, reject) => {
+      const silences = [];
+      let openStart = null;
+
+      ffmpeg(audioPath)
+        .noVideo()
+        .audioFilters(`silencedetect=noise=${noise}dB:d=${minDuration}`)
+        .format("null")
+        .on("stderr", (line) => {
+          const startMatch = line.match(/silence_start:\s*(-?[\d.]+)/);
+          if (startMatch) {
+            openStart = Math.max(0, parseFloat(startMatch[1]));
+            return;
+          }
+
+          const endMatch = line.match(/silence_end:\s*([\d.]+)/);
+          if (endMatch && openStart !== null) {
+            const end = parseFloat(endMatch[1]);
+            silences.push({
+              start: openStart,
+              end,
+              duration: Math.round((end - openStart) * 1000) / 1000,
+            });
+            openStart = null;
+          }
+        })
+        .on("end", () => {
+          if (openStart !== null && audioDuration) {
+            silences.push({
+              start: openStart,
+              end: audioDuration,
+              duration: Math.round((audioDuration - openStart) * 1000) / 1000,
+            });
+          }
+          resolve(silences);
+        })
+        .on("error", (err) => reject(err))
+        .save("-");
+    });
+  }
+
   /**
    * Get duration using ffprobe (fluent-ffmpeg wrapper)
    */
@@ -192,6 +279,102 @@ class AudioUtils {
     }
   }
 
+  static resolveMusicOptions(options = {}) {
+    const resolved = { ...MUSIC_DEFAULTS };
+
+    Object.keys(MUSIC_DEFAULTS).forEach((key) => {
+      if (options[key] === undefined || options[key] === "") return;
+
+      resolved[key] =
+        typeof MUSIC_DEFAULTS[key] === "boolean"
+          ? RequestUtils.parseBoolean(options[key], MUSIC_DEFAULTS[key])
+          : parseFloat(options[key]);
+    });
+
+    return resolved;
+  }
+
+  static validateMusicOptions(options) {
+    const errors = [];
+
+    if (!(options.volume >= 0 && options.volume <= 2)) {
+      errors.push("Music volume must be between 0 and 2");
+    }
+
+    ["fadeIn", "fadeOut", "duckingAttack", "duckingRelease"].forEach((key) => {
+      if (!(options[key] >= 0)) {
+        errors.push(`Music ${key} must be a non-negative number`);
+      }
+    });
+
+    if (!(options.duckingThreshold > 0 && options.duckingThreshold <= 1)) {
+      errors.push("Music duckingThreshold must be between 0 and 1");
+    }
+
+    if (!(options.duckingRatio >= 1 && options.duckingRatio <= 20)) {
+      errors.push("Music duckingRatio must be between 1 and 20");
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors,
+    };
+  }
+
+  /**
+   * Filter graph that mixes a music bed under the voiceover.
+   * The music is trimmed to the video length (looped inputs are expected to
+   * use `-stream_loop -1`), faded, and optionally ducked with a sidechain
+   * compressor keyed by the voice. amix halves both inputs, so the mix is
+   * brought back up by 2x.
+   */
+  static generateMusicMixFilters(
+    voiceLabel,
+    musicLabel,
+    options,
+    totalDuration,
+    outputLabel = "[outa]"
+  ) {
+    const musicEnd = options.loop
+      ? totalDuration
+      : Math.min(totalDuration, options.musicDuration || totalDuration);
+    const format = "aformat=sample_rates=44100:channel_layouts=stereo";
+
+    let musicChain =
+      `${musicLabel}${format},atrim=0:${totalDuration},asetpts=PTS-STARTPTS,` +
+      `volume=${options.volume}`;
+    if (options.fadeIn > 0) {
+      musicChain += `,afade=t=in:st=0:d=${options.fadeIn}`;
+    }
+    if (options.fadeOut > 0) {
+      musicChain += `,afade=t=out:st=${Math.max(
+        0,
+        musicEnd - options.fadeOut
+      )}:d=${options.fadeOut}`;
+    }
+
+    const filters = [];
+
+    if (options.ducking) {
+      filters.push(`${voiceLabel}${format},asplit=2[voice][sidechain]`);
+      filters.push(`${musicChain}[music]`);
+      filters.push(
+        `[music][sidechain]sidechaincompress=threshold=${options.duckingThreshold}:ratio=${options.duckingRatio}:attack=${options.duckingAttack}:release=${options.duckingRelease}[ducked]`
+      );
+      filters.push(
+        `[voice][ducked]amix=inputs=2:duration=first:dropout_transition=0,volume=2${outputLabel}`
+      );
+    } else {
+      filters.push(`${voiceLabel}${format}[voice]`);
+      filters.push(`${musicChain}[music]`);
+      filters.push(
+        `[voice][music]amix=inputs=2:duration=first:dropout_transition=0,volume=2${outputLabel}`
+      );
+    }
+
+    return filters;
+  }
+
   static createSafeAudioFilename(
     prefix = "concatenated_voiceover",
     suffix = ""
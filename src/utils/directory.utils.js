@@ -11,11 +11,18 @@ class DirectoryUtils {
     return {
       images: "./uploads/images",
       audio: "./uploads/audio",
+      subtitles: "./uploads/subtitles",
       videos: "./uploads/videos",
       documents: "./uploads/documents",
       temp: "./temp",
       output: "./output",
       outputVideos: "./output/videos",
+      outputSubtitles: "./output/subtitles",
+      outputThumbnails: "./output/thumbnails",
+      outputPreviews: "./output/previews",
+      brandAssets: "./assets/brand",
+      sampleImages: "./assets/samples",
+      data: "./data",
     };
   }
 
@@ -25,11 +32,21 @@ class DirectoryUtils {
     return {
       images: process.env.UPLOAD_IMAGES_DIR || defaults.images,
       audio: process.env.UPLOAD_AUDIO_DIR || defaults.audio,
+      subtitles: process.env.UPLOAD_SUBTITLES_DIR || defaults.subtitles,
       videos: process.env.UPLOAD_VIDEOS_DIR || defaults.videos,
       documents: process.env.UPLOAD_DOCUMENTS_DIR || defaults.documents,
       temp: process.env.TEMP_DIR || defaults.temp,
       output: process.env.OUTPUT_DIR || defaults.output,
       outputVideos: process.env.OUTPUT_VIDEOS_DIR || defaults.outputVideos,
+      outputSubtitles:
+        process.env.OUTPUT_SUBTITLES_DIR || defaults.outputSubtitles,
+      outputThumbnails:
+        process.env.OUTPUT_THUMBNAILS_DIR || defaults.outputThumbnails,
+      outputPreviews:
+        process.env.OUTPUT_PREVIEWS_DIR || defaults.outputPreviews,
+      brandAssets: process.env.BRAND_ASSETS_DIR || defaults.brandAssets,
+      sampleImages: process.env.SAMPLE_IMAGES_DIR || defaults.sampleImages,
+      data: process.env.DATA_DIR || defaults.data,
     };
   }
 
@@ -78,6 +78,9 @@ class FileUploadUtils {
     const descriptions = {
       images: "image files (PNG, JPG, GIF, etc.)",
       voiceover: "audio files (MP3, WAV, M4A, etc.)",
+      music: "audio files (MP3, WAV, M4A, etc.)",
+      audio: "audio files (MP3, WAV, M4A, etc.)",
+      subtitles: "subtitle files (SRT, VTT)",
       documents: "document files (PDF, DOC, TXT, etc.)",
       videos: "video files (MP4, AVI, MOV, etc.)",
     };
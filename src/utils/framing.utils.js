@@ -0,0 +1,309 @@
+const ffmpeg = require("fluent-ffmpeg");
+
+// Focal points and pan rectangles are normalized (0-1) to the source image,
+// so a client can pick them on the original photo without knowing the
+// output size. They are converted to frame coordinates once the image has
+// been fitted.
+const RECT_TOLERANCE = 0.001;
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+const round = (value) => Math.round(value * 10000) / 10000;
+
+class FramingUtils {
+  static validateRect(rect, label) {
+    const errors = [];
+
+    if (!rect || typeof rect !== "object") {
+      return [`${label} must be an object with x, y, width and height`];
+    }
+
+    ["x", "y", "width", "height"].forEach((key) => {
+      const value = Number(rect[key]);
+      if (!Number.isFinite(value) || value < 0 || value > 1) {
+        errors.push(`${label}.${key} must be a number between 0 and 1`);
+      }
+    });
+
+    if (errors.length === 0) {
+      if (!(Number(rect.width) > 0) || !(Number(rect.height) > 0)) {
+        errors.push(`${label} must have a width and height greater than 0`);
+      }
+      if (
+        Number(rect.x) + Number(rect.width) > 1 + RECT_TOLERANCE ||
+        Number(rect.y) + Number(rect.height) > 1 + RECT_TOLERANCE
+      ) {
+        errors.push(`${label} must lie inside the image`);
+      }
+    }
+
+    return errors;
+  }
+
+  // A focus entry is `{ x, y }`, optionally with `pan: { start, end }`
+  static validateFocus(focus, label) {
+    const errors = [];
+
+    if (!focus || typeof focus !== "object" || Array.isArray(focus)) {
+      return [`${label} must be an object like { "x": 0.5, "y": 0.3 }`];
+    }
+
+    const hasPoint = focus.x !== undefined || focus.y !== undefined;
+    if (!hasPoint && !focus.pan) {
+      errors.push(`${label} needs x/y or a pan`);
+    }
+
+    if (hasPoint) {
+      ["x", "y"].forEach((key) => {
+        const value = Number(focus[key]);
+        if (!Number.isFinite(value) || value < 0 || value > 1) {
+          errors.push(`${label}.${key} must be a number between 0 and 1`);
+        }
+      });
+    }
+
+    if (focus.pan !== undefined) {
+      if (!focus.pan || typeof focus.pan !== "object") {
+        errors.push(`${label}.pan must be an object with start and end`);
+      } else {
+        errors.push(
+          ...FramingUtils.validateRect(focus.pan.start, `${label}.pan.start`),
+          ...FramingUtils.validateRect(focus.pan.end, `${label}.pan.end`)
+        );
+      }
+    }
+
+    return errors;
+  }
+
+  static normalizeFocus(focus) {
+    if (!focus) return null;
+
+    const toRect = (rect) => ({
+      x: Number(rect.x),
+      y: Number(rect.y),
+      width: Number(rect.width),
+      height: Number(rect.height),
+    });
+
+    const pan = focus.pan && {
+      start: toRect(focus.pan.start),
+      end: toRect(focus.pan.end),
+    };
+
+    // Without a focal point a pan crops around the middle of its path so
+    // both rectangles stay in the frame where possible
+    const panCenter = (axis, size) =>
+      pan
+        ? (pan.start[axis] +
+            pan.start[size] / 2 +
+            pan.end[axis] +
+            pan.end[size] / 2) /
+          2
+        : 0.5;
+
+    return {
+      x: focus.x !== undefined ? Number(focus.x) : panCenter("x", "width"),
+      y: focus.y !== undefined ? Number(focus.y) : panCenter("y", "height"),
+      ...(pan && { pan }),
+    };
+  }
+
+  /**
+   * Resolve the `imageFocus` field: an array aligned with the images or an
+   * object keyed by image index. Returns one normalized entry (or null)
+   * per image.
+   */
+  static resolveFocusOptions(imageFocus, imageCount) {
+    const errors = [];
+    const focus = Array(imageCount).fill(null);
+
+    if (imageFocus === undefined || imageFocus === null) {
+      return { isValid: true, errors, focus };
+    }
+
+    if (typeof imageFocus !== "object") {
+      return {
+        isValid: false,
+        errors: [
+          "imageFocus must be an array or an object keyed by image index",
+        ],
+        focus,
+      };
+    }
+
+    Object.entries(imageFocus).forEach(([key, entry]) => {
+      if (entry === null || entry === undefined) return;
+
+      const index = Number(key);
+      const label = `imageFocus[${key}]`;
+
+      if (!Number.isInteger(index) || index < 0 || index >= imageCount) {
+        errors.push(`${label} does not match an image (0-${imageCount - 1})`);
+        return;
+      }
+
+      const entryErrors = FramingUtils.validateFocus(entry, label);
+      errors.push(...entryErrors);
+      if (entryErrors.length === 0) {
+        focus[index] = FramingUtils.normalizeFocus(entry);
+      }
+    });
+
+    return {
+      isValid: errors.length === 0,
+      errors,
+      focus,
+    };
+  }
+
+  static getImageSize(imagePath) {
+    return new Promise((resolve, reject) => {
+      ffmpeg.ffprobe(imagePath, (err, info) => {
+        if (err) return reject(err);
+        const stream = info.streams?.find((s) => s.codec_type === "video");
+        if (!stream?.width || !stream?.height) {
+          return reject(new Error(`Could not read image size: ${imagePath}`));
+        }
+        resolve({ width: stream.width, height: stream.height });
+      });
+    });
+  }
+
+  // Sizes are only needed to place focal points, so only images with a
+  // focus entry are probed
+  static async getImageSizes(imagePaths, focus = []) {
+    const sizes = [];
+    for (let index = 0; index < imagePaths.length; index++) {
+      sizes.push(
+        focus[index] ? await FramingUtils.getImageSize(imagePaths[index]) : null
+      );
+    }
+    return sizes;
+  }
+
+  /**
+   * Where the scaled image lands in a width x height frame for a fit mode.
+   * Cover crops around the focal point (kept inside the image); contain and
+   * blur-fill center the whole image.
+   */
+  static getFitGeometry(imageSize, width, height, mode, focus) {
+    const scale =
+      mode === "cover"
+        ? Math.max(width / imageSize.width, height / imageSize.height)
+        : Math.min(width / imageSize.width, height / imageSize.height);
+    const scaledWidth = imageSize.width * scale;
+    const scaledHeight = imageSize.height * scale;
+
+    if (mode !== "cover") {
+      return {
+        scaledWidth,
+        scaledHeight,
+        originX: (width - scaledWidth) / 2,
+        originY: (height - scaledHeight) / 2,
+      };
+    }
+
+    const fx = focus?.x ?? 0.5;
+    const fy = focus?.y ?? 0.5;
+    return {
+      scaledWidth,
+      scaledHeight,
+      originX: -clamp(fx * scaledWidth - width / 2, 0, scaledWidth - width),
+      originY: -clamp(fy * scaledHeight - height / 2, 0, scaledHeight - height),
+    };
+  }
+
+  /**
+   * Convert an image's focus entry into frame coordinates for zoompan:
+   * `point` is the focal point in the fitted frame and `pan` holds the
+   * start/end window centers and zoom levels.
+   */
+  static getFraming(imageSize, width, height, mode, focus) {
+    if (!imageSize || !focus) return null;
+
+    const geometry = FramingUtils.getFitGeometry(
+      imageSize,
+      width,
+      height,
+      mode,
+      focus
+    );
+    const toFrame = (x, y) => ({
+      x: clamp((geometry.originX + x * geometry.scaledWidth) / width, 0, 1),
+      y: clamp((geometry.originY + y * geometry.scaledHeight) / height, 0, 1),
+    });
+
+    // The zoom window keeps the frame's aspect, so it is sized to cover
+    // the whole rectangle
+    const toWindow = (rect) => {
+      const topLeft = toFrame(rect.x, rect.y);
+      const bottomRight = toFrame(rect.x + rect.width, rect.y + rect.height);
+      const zoom = clamp(
+        1 /
+          Math.max(
+            bottomRight.x - topLeft.x || 1,
+            bottomRight.y - topLeft.y || 1
+          ),
+        1,
+        10
+      );
+      return {
+        centerX: round((topLeft.x + bottomRight.x) / 2),
+        centerY: round((topLeft.y + bottomRight.y) / 2),
+        zoom: round(zoom),
+      };
+    };
+
+    const point = toFrame(focus.x, focus.y);
+
+    return {
+      point: { x: round(point.x), y: round(point.y) },
+      pan: focus.pan
+        ? { start: toWindow(focus.pan.start), end: toWindow(focus.pan.end) }
+        : null,
+    };
+  }
+
+  // zoompan x/y expressions that zoom toward a focal point: the point keeps
+  // its place in the frame while everything around it grows
+  static getZoomPosition(framing) {
+    if (!framing) {
+      return { x: "iw/2-(iw/zoom/2)", y: "ih/2-(ih/zoom/2)" };
+    }
+
+    return {
+      x: `(iw-iw/zoom)*${framing.point.x}`,
+      y: `(ih-ih/zoom)*${framing.point.y}`,
+    };
+  }
+
+  // zoompan z/x/y expressions for a custom pan, moving the window linearly
+  // from the start rectangle to the end rectangle
+  static getPanExpressions(pan, totalFrames) {
+    const progress = `min(on/${Math.max(1, totalFrames - 1)},1)`;
+    const lerp = (from, to) => `(${from}+(${round(to - from)})*${progress})`;
+
+    return {
+      z: lerp(pan.start.zoom, pan.end.zoom),
+      x: `min(max(0,iw*${lerp(
+        pan.start.centerX,
+        pan.end.centerX
+      )}-iw/zoom/2),iw-iw/zoom)`,
+      y: `min(max(0,ih*${lerp(
+        pan.start.centerY,
+        pan.end.centerY
+      )}-ih/zoom/2),ih-ih/zoom)`,
+    };
+  }
+
+  // z/x/y for a zoompan whose motion is `zoom` unless the image has a
+  // custom pan
+  static getZoompanExpressions(framing, zoom, totalFrames) {
+    if (framing?.pan) {
+      return FramingUtils.getPanExpressions(framing.pan, totalFrames);
+    }
+    return { z: zoom, ...FramingUtils.getZoomPosition(framing) };
+  }
+}
+
+module.exports = FramingUtils;
@@ -0,0 +1,218 @@
+const ffmpeg = require("fluent-ffmpeg");
+const fs = require("fs-extra");
+const path = require("path");
+const DirectoryUtils = require("./directory.utils");
+const RequestUtils = require("./request.utils");
+const { HLS_RENDITIONS, HLS_DEFAULTS } = require("../constants/constants");
+
+const HLS_CONTENT_TYPES = {
+  ".m3u8": "application/vnd.apple.mpegurl",
+  ".ts": "video/mp2t",
+};
+
+const SAFE_NAME_PATTERN = /^[\w-][\w.-]*$/;
+
+// "2800k" -> 2800000
+const parseBitrate = (bitrate) => parseInt(bitrate, 10) * 1000;
+
+class HlsUtils {
+  // `output.hls` turns packaging on; `output.hlsRenditions` picks renditions
+  static resolveHlsOptions(output = {}) {
+    const errors = [];
+
+    if (!RequestUtils.parseBoolean(output.hls)) {
+      return { isValid: true, errors, hls: null };
+    }
+
+    const renditions =
+      typeof output.hlsRenditions === "string"
+        ? output.hlsRenditions.split(",").map((name) => name.trim())
+        : output.hlsRenditions || HLS_DEFAULTS.renditions;
+
+    if (!Array.isArray(renditions) || renditions.length === 0) {
+      errors.push("hlsRenditions must be a non-empty list");
+    } else {
+      renditions
+        .filter((name) => !HLS_RENDITIONS[name])
+        .forEach((name) =>
+          errors.push(
+            `Invalid HLS rendition: ${name}. Use one of ${Object.keys(
+              HLS_RENDITIONS
+            ).join(", ")}`
+          )
+        );
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors,
+      hls: {
+        renditions,
+        segmentDuration: HLS_DEFAULTS.segmentDuration,
+      },
+    };
+  }
+
+  /**
+   * Frame size and bitrates for each requested rendition. Renditions larger
+   * than the source are dropped; if none fit, a single rendition at the
+   * source size is used with the smallest rendition's bitrates.
+   */
+  static getRenditionPlan(width, height, renditionNames) {
+    const sourceShortSide = Math.min(width, height);
+    const even = (value) => Math.round(value / 2) * 2;
+
+    const plan = renditionNames
+      .map((name) => ({ name, ...HLS_RENDITIONS[name] }))
+      .filter((rendition) => rendition.shortSide <= sourceShortSide)
+      .sort((a, b) => b.shortSide - a.shortSide);
+
+    if (plan.length === 0) {
+      const smallest = Object.values(HLS_RENDITIONS).sort(
+        (a, b) => a.shortSide - b.shortSide
+      )[0];
+      plan.push({ name: "source", ...smallest, shortSide: sourceShortSide });
+    }
+
+    return plan.map((rendition) => {
+      const scale = rendition.shortSide / sourceShortSide;
+      return {
+        name: rendition.name,
+        width: even(width * scale),
+        height: even(height * scale),
+        videoBitrate: rendition.videoBitrate,
+        audioBitrate: rendition.audioBitrate,
+        bandwidth: Math.round(
+          (parseBitrate(rendition.videoBitrate) +
+            parseBitrate(rendition.audioBitrate)) *
+            1.1
+        ),
+      };
+    });
+  }
+
+  static getStreamDir(streamId) {
+    const { outputVideos } = DirectoryUtils.getUploadDirsFromEnv();
+    return path.join(outputVideos, streamId);
+  }
+
+  static isSafeName(name) {
+    return SAFE_NAME_PATTERN.test(name || "");
+  }
+
+  static getContentType(filename) {
+    return (
+      HLS_CONTENT_TYPES[path.extname(filename).toLowerCase()] ||
+      "application/octet-stream"
+    );
+  }
+
+  static buildMasterPlaylist(renditions) {
+    const lines = ["#EXTM3U", "#EXT-X-VERSION:3"];
+
+    renditions.forEach((rendition) => {
+      lines.push(
+        `#EXT-X-STREAM-INF:BANDWIDTH=${rendition.bandwidth},RESOLUTION=${rendition.width}x${rendition.height}`,
+        `${rendition.name}/index.m3u8`
+      );
+    });
+
+    return `${lines.join("\n")}\n`;
+  }
+
+  // Encode one rendition as H.264/AAC MPEG-TS segments with a VOD playlist.
+  // Keyframes are forced on segment boundaries so every segment starts clean.
+  static packageRendition(inputPath, renditionDir, rendition, segmentDuration) {
+    return new Promise((resolve, reject) => {
+      const videoBitrate = parseBitrate(rendition.videoBitrate);
+
+      ffmpeg(inputPath)
+        .outputOptions([
+          "-map",
+          "0:v:0",
+          "-map",
+          "0:a:0?",
+          "-vf",
+          `scale=${rendition.width}:${rendition.height}`,
+          "-c:v",
+          "libx264",
+          "-preset",
+          "medium",
+          "-b:v",
+          rendition.videoBitrate,
+          "-maxrate",
+          `${Math.round((videoBitrate * 1.07) / 1000)}k`,
+          "-bufsize",
+          `${Math.round((videoBitrate * 1.5) / 1000)}k`,
+          "-force_key_frames",
+          `expr:gte(t,n_forced*${segmentDuration})`,
+          "-sc_threshold",
+          "0",
+          "-c:a",
+          "aac",
+          "-b:a",
+          rendition.audioBitrate,
+          "-ac",
+          "2",
+          "-f",
+          "hls",
+          "-hls_time",
+          String(segmentDuration),
+          "-hls_playlist_type",
+          "vod",
+          "-hls_segment_filename",
+          path.join(renditionDir, "segment_%03d.ts"),
+        ])
+        .output(path.join(renditionDir, "index.m3u8"))
+        .on("end", () => resolve())
+        .on("error", (err) => reject(err))
+        .run();
+    });
+  }
+
+  /**
+   * Package a rendered video as HLS into output/videos/<streamId>/:
+   * one directory per rendition plus master.m3u8. Renditions are encoded
+   * one after another to keep CPU use predictable.
+   */
+  static async packageHls(inputPath, streamId, options) {
+    const { width, height, renditions, segmentDuration } = options;
+    const streamDir = HlsUtils.getStreamDir(streamId);
+    const plan = HlsUtils.getRenditionPlan(width, height, renditions);
+
+    await fs.remove(streamDir);
+
+    for (const rendition of plan) {
+      const renditionDir = path.join(streamDir, rendition.name);
+      await DirectoryUtils.ensureDirectories([renditionDir]);
+
+      console.log(
+        `📦 Packaging HLS ${rendition.name} (${rendition.width}x${rendition.height})...`
+      );
+      await HlsUtils.packageRendition(
+        inputPath,
+        renditionDir,
+        rendition,
+        segmentDuration
+      );
+    }
+
+    await fs.writeFile(
+      path.join(streamDir, "master.m3u8"),
+      HlsUtils.buildMasterPlaylist(plan),
+      "utf8"
+    );
+
+    console.log(`✅ HLS packaged: ${plan.length} rendition(s) in ${streamDir}`);
+
+    return {
+      streamId,
+      segmentDuration,
+      renditions: plan,
+      masterPlaylist: path.join(streamDir, "master.m3u8"),
+      streamUrl: `/api/video/stream/${streamId}/master.m3u8`,
+    };
+  }
+}
+
+module.exports = HlsUtils;
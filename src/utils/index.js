@@ -5,6 +5,20 @@ const ResponseUtils = require("./response.utils");
 const VideoUtils = require("./video.utils");
 const VideoEffectsUtils = require("./videoEffects.utils");
 const AudioUtils = require("./audio.utils");
+const JobUtils = require("./job.utils");
+const SubtitleUtils = require("./subtitle.utils");
+const RequestUtils = require("./request.utils");
+const TranscriptionUtils = require("./transcription.utils");
+const TimelineUtils = require("./timeline.utils");
+const HlsUtils = require("./hls.utils");
+const ThumbnailUtils = require("./thumbnail.utils");
+const FramingUtils = require("./framing.utils");
+const TextOverlayUtils = require("./textOverlay.utils");
+const WatermarkUtils = require("./watermark.utils");
+const PresetUtils = require("./preset.utils");
+const PreviewUtils = require("./preview.utils");
+const MappingUtils = require("./mapping.utils");
+const AssetUtils = require("./asset.utils");
 
 module.exports = {
   DirectoryUtils,
@@ -13,4 +27,18 @@ module.exports = {
   VideoUtils,
   VideoEffectsUtils,
   AudioUtils,
+  JobUtils,
+  SubtitleUtils,
+  RequestUtils,
+  TranscriptionUtils,
+  TimelineUtils,
+  HlsUtils,
+  ThumbnailUtils,
+  FramingUtils,
+  TextOverlayUtils,
+  WatermarkUtils,
+  PresetUtils,
+  PreviewUtils,
+  MappingUtils,
+  AssetUtils,
 };
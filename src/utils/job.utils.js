@@ -0,0 +1,190 @@
+const crypto = require("crypto");
+const { EventEmitter } = require("events");
+const { JOB_STATUSES } = require("../constants/constants");
+
+// In-memory job registry. Jobs do not survive a server restart.
+const jobs = new Map();
+const queue = [];
+let runningCount = 0;
+
+// Per-job event channel; listeners are keyed by job id
+const events = new EventEmitter();
+events.setMaxListeners(0);
+
+class JobUtils {
+  static getMaxConcurrentJobs() {
+    return parseInt(process.env.MAX_CONCURRENT_JOBS, 10) || 1;
+  }
+
+  static getJobRetentionMs() {
+    return (
+      parseInt(process.env.JOB_RETENTION_MS, 10) || 24 * 60 * 60 * 1000
+    );
+  }
+
+  static createJob(type, metadata = {}) {
+    JobUtils.pruneFinishedJobs();
+
+    const now = new Date().toISOString();
+    const job = {
+      id: crypto.randomUUID(),
+      type,
+      status: JOB_STATUSES.QUEUED,
+      stage: null,
+      progress: 0,
+      metadata,
+      result: null,
+      error: null,
+      createdAt: now,
+      updatedAt: now,
+      startedAt: null,
+      finishedAt: null,
+    };
+
+    jobs.set(job.id, job);
+    return job;
+  }
+
+  static getJob(jobId) {
+    return jobs.get(jobId) || null;
+  }
+
+  static updateJob(jobId, updates) {
+    const job = jobs.get(jobId);
+    if (!job) return null;
+
+    Object.assign(job, updates, { updatedAt: new Date().toISOString() });
+    return job;
+  }
+
+  static setStage(jobId, stage) {
+    const job = JobUtils.updateJob(jobId, { stage });
+    if (job) JobUtils.publish(jobId, "stage", { stage });
+    return job;
+  }
+
+  // Accepts the object produced by VideoUtils.createProgressCallback
+  static setProgress(jobId, progressInfo = {}) {
+    const progress = Math.max(
+      0,
+      Math.min(100, Math.round(progressInfo.percentage || 0))
+    );
+    const job = JobUtils.updateJob(jobId, { progress });
+
+    if (job) {
+      JobUtils.publish(jobId, "progress", {
+        percentage: progress,
+        timemark: progressInfo.timemark || null,
+        fps: progressInfo.currentFps ?? null,
+        kbps: progressInfo.currentKbps ?? null,
+      });
+    }
+
+    return job;
+  }
+
+  static isFinished(job) {
+    return (
+      job.status === JOB_STATUSES.SUCCEEDED ||
+      job.status === JOB_STATUSES.FAILED
+    );
+  }
+
+  static publish(jobId, event, data) {
+    events.emit(jobId, { event, data });
+  }
+
+  // Returns an unsubscribe function
+  static subscribe(jobId, listener) {
+    events.on(jobId, listener);
+    return () => events.off(jobId, listener);
+  }
+
+  // Queue a job; `task` receives the job and resolves with its result
+  static enqueue(job, task) {
+    queue.push({ job, task });
+    JobUtils.runNext();
+    return job;
+  }
+
+  static runNext() {
+    while (
+      runningCount < JobUtils.getMaxConcurrentJobs() &&
+      queue.length > 0
+    ) {
+      const { job, task } = queue.shift();
+      runningCount++;
+
+      JobUtils.execute(job, task).finally(() => {
+        runningCount--;
+        JobUtils.runNext();
+      });
+    }
+  }
+
+  static async execute(job, task) {
+    JobUtils.updateJob(job.id, {
+      status: JOB_STATUSES.RUNNING,
+      startedAt: new Date().toISOString(),
+    });
+    JobUtils.publish(job.id, "status", { status: JOB_STATUSES.RUNNING });
+
+    try {
+      const result = await task(job);
+      JobUtils.updateJob(job.id, {
+        status: JOB_STATUSES.SUCCEEDED,
+        stage: "completed",
+        progress: 100,
+        result,
+        finishedAt: new Date().toISOString(),
+      });
+      JobUtils.publish(
+        job.id,
+        JOB_STATUSES.SUCCEEDED,
+        JobUtils.serializeJob(job)
+      );
+    } catch (error) {
+      console.error(`❌ Job ${job.id} failed:`, error);
+      JobUtils.updateJob(job.id, {
+        status: JOB_STATUSES.FAILED,
+        error: {
+          message: error.message,
+          details: error.details || null,
+        },
+        finishedAt: new Date().toISOString(),
+      });
+      JobUtils.publish(job.id, JOB_STATUSES.FAILED, JobUtils.serializeJob(job));
+    }
+  }
+
+  static pruneFinishedJobs(maxAgeMs = JobUtils.getJobRetentionMs()) {
+    const now = Date.now();
+
+    for (const [jobId, job] of jobs) {
+      if (
+        job.finishedAt &&
+        now - new Date(job.finishedAt).getTime() > maxAgeMs
+      ) {
+        jobs.delete(jobId);
+      }
+    }
+  }
+
+  static serializeJob(job) {
+    return {
+      jobId: job.id,
+      type: job.type,
+      status: job.status,
+      stage: job.stage,
+      progress: job.progress,
+      result: job.result,
+      error: job.error,
+      createdAt: job.createdAt,
+      updatedAt: job.updatedAt,
+      startedAt: job.startedAt,
+      finishedAt: job.finishedAt,
+    };
+  }
+}
+
+module.exports = JobUtils;
@@ -0,0 +1,201 @@
+const path = require("path");
+const DirectoryUtils = require("./directory.utils");
+const {
+  MAPPING_TYPES,
+  MAPPING_SORT_FIELDS,
+  MAPPING_QUERY_DEFAULTS,
+  HLS_RENDITIONS,
+} = require("../constants/constants");
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const parseDate = (value) => {
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+class MappingUtils {
+  /**
+   * Read the mappings list query: filters (type, from, to, preset,
+   * originalName), sort/order and page/limit.
+   */
+  static resolveMappingQuery(query = {}) {
+    const errors = [];
+
+    if (query.type && !MAPPING_TYPES.includes(query.type)) {
+      errors.push(
+        `Invalid type: ${query.type}. Use one of ${MAPPING_TYPES.join(", ")}`
+      );
+    }
+
+    const from = query.from ? parseDate(query.from) : null;
+    let to = query.to ? parseDate(query.to) : null;
+    // A date-only `to` (2026-10-19) includes that whole day (UTC)
+    if (to && DATE_ONLY.test(query.to)) {
+      to = new Date(to.getTime() + DAY_MS - 1);
+    }
+    if (query.from && !from) errors.push("from must be a date");
+    if (query.to && !to) errors.push("to must be a date");
+    if (from && to && from > to) errors.push("from must be before to");
+
+    const sort = query.sort || MAPPING_QUERY_DEFAULTS.sort;
+    if (!MAPPING_SORT_FIELDS.includes(sort)) {
+      errors.push(
+        `Invalid sort: ${sort}. Use one of ${MAPPING_SORT_FIELDS.join(", ")}`
+      );
+    }
+
+    const order = query.order || MAPPING_QUERY_DEFAULTS.order;
+    if (!["asc", "desc"].includes(order)) {
+      errors.push("order must be asc or desc");
+    }
+
+    const page = Number(query.page ?? MAPPING_QUERY_DEFAULTS.page);
+    const limit = Number(query.limit ?? MAPPING_QUERY_DEFAULTS.limit);
+    if (!Number.isInteger(page) || page < 1) {
+      errors.push("page must be a positive integer");
+    }
+    if (
+      !Number.isInteger(limit) ||
+      limit < 1 ||
+      limit > MAPPING_QUERY_DEFAULTS.maxLimit
+    ) {
+      errors.push(
+        `limit must be between 1 and ${MAPPING_QUERY_DEFAULTS.maxLimit}`
+      );
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors,
+      filters: {
+        type: query.type || null,
+        from,
+        to,
+        preset: query.preset || null,
+        originalName: query.originalName
+          ? String(query.originalName).toLowerCase()
+          : null,
+      },
+      sort,
+      order,
+      page,
+      limit,
+    };
+  }
+
+  // Original names of every uploaded file a mapping lists
+  static getOriginalNames(mapping) {
+    const voiceover = mapping.voiceover?.sourceFiles || [mapping.voiceover];
+
+    return [
+      ...(mapping.images || []),
+      ...voiceover,
+      mapping.music,
+      mapping.subtitles,
+      mapping.watermark,
+    ]
+      .map((file) => file?.originalName)
+      .filter(Boolean);
+  }
+
+  static matchesFilters(mapping, filters) {
+    const createdAt = parseDate(mapping.createdAt || mapping.timestamp);
+
+    if (filters.type && (mapping.type || "video") !== filters.type) {
+      return false;
+    }
+    if (filters.from && !(createdAt >= filters.from)) return false;
+    if (filters.to && !(createdAt <= filters.to)) return false;
+    if (filters.preset && mapping.effects?.preset !== filters.preset) {
+      return false;
+    }
+    if (
+      filters.originalName &&
+      !MappingUtils.getOriginalNames(mapping).some((name) =>
+        name.toLowerCase().includes(filters.originalName)
+      )
+    ) {
+      return false;
+    }
+
+    return true;
+  }
+
+  static sortMappings(mappings, sort, order) {
+    const value = (mapping) =>
+      sort === "processingTime"
+        ? parseInt(mapping.processingTime, 10) || 0
+        : parseDate(mapping.createdAt || mapping.timestamp)?.getTime() || 0;
+    const direction = order === "asc" ? 1 : -1;
+
+    return [...mappings].sort((a, b) => (value(a) - value(b)) * direction);
+  }
+
+  // The concatenated file of a mapping's voiceover and the duration of
+  // each clip in it, when several clips were joined
+  static getConcatenatedVoiceover(mapping) {
+    const { voiceover } = mapping;
+    if (!voiceover?.concatenatedFile) return null;
+
+    return {
+      filename: path.basename(voiceover.concatenatedFile),
+      clipDurations: voiceover.sourceFiles.map((source) => source.duration),
+    };
+  }
+
+  /**
+   * The output settings a render (or project) was made with, in the shape
+   * of a request's `output` field so they can be resolved again. Null for
+   * records from before output profiles.
+   */
+  static getOutputOptions(output) {
+    if (!output?.profile) return null;
+
+    const { profile, width, height, format, posterAt, hls } = output;
+    // A render stores its HLS plan, a project the requested renditions
+    const renditions = (hls?.renditions || [])
+      .map((rendition) => rendition.name || rendition)
+      .filter((name) =>
+        Object.prototype.hasOwnProperty.call(HLS_RENDITIONS, name)
+      );
+
+    return {
+      profile,
+      width,
+      height,
+      format,
+      posterAt,
+      hls: Boolean(hls),
+      ...(renditions.length > 0 && { hlsRenditions: renditions }),
+    };
+  }
+
+  /**
+   * Files a render wrote: the video, its HLS directory, thumbnails,
+   * normalized subtitles and transcripts, and a concatenated voiceover.
+   * Only stored basenames are used, so every path stays in its directory.
+   */
+  static getOutputFiles(mapping) {
+    const dirs = DirectoryUtils.getUploadDirsFromEnv();
+    const inDir = (dir, filename) =>
+      filename ? path.join(dir, path.basename(filename)) : null;
+    const { output = {}, subtitles, transcript, voiceover } = mapping;
+    const thumbnails = output.thumbnails || {};
+
+    return [
+      inDir(dirs.outputVideos, output.filename),
+      inDir(dirs.outputVideos, output.hls?.streamId),
+      inDir(dirs.outputThumbnails, thumbnails.poster),
+      inDir(dirs.outputThumbnails, thumbnails.sprite),
+      inDir(dirs.outputThumbnails, thumbnails.spriteVtt),
+      inDir(dirs.outputSubtitles, subtitles?.normalizedFile),
+      inDir(dirs.outputSubtitles, transcript?.srtFile),
+      inDir(dirs.outputSubtitles, transcript?.vttFile),
+      inDir(dirs.audio, voiceover?.concatenatedFile),
+    ].filter(Boolean);
+  }
+}
+
+module.exports = MappingUtils;
@@ -0,0 +1,128 @@
+const fs = require("fs-extra");
+const path = require("path");
+const DirectoryUtils = require("./directory.utils");
+const {
+  VIDEO_EFFECT_PRESETS,
+  CUSTOM_PRESET_LIMITS,
+} = require("../constants/constants");
+
+const PRESET_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,39}$/;
+
+// Custom presets are kept in memory and written through to
+// data/presets.json; writes are chained so concurrent requests cannot
+// interleave partial files or lose each other's changes
+let customPresets = {};
+let writeQueue = Promise.resolve();
+
+class PresetUtils {
+  static getPresetsFile() {
+    const { data } = DirectoryUtils.getUploadDirsFromEnv();
+    return path.join(data, "presets.json");
+  }
+
+  static async loadPresets() {
+    const presetsFile = PresetUtils.getPresetsFile();
+
+    try {
+      if (await fs.pathExists(presetsFile)) {
+        customPresets = JSON.parse(await fs.readFile(presetsFile, "utf8"));
+      }
+    } catch (error) {
+      console.error("⚠️ Could not read custom presets:", error.message);
+      customPresets = {};
+    }
+
+    console.log(
+      `🎨 Loaded ${Object.keys(customPresets).length} custom effect preset(s)`
+    );
+    return customPresets;
+  }
+
+  static async writePresets(presets) {
+    const presetsFile = PresetUtils.getPresetsFile();
+    await DirectoryUtils.ensureDirectories([path.dirname(presetsFile)]);
+    await fs.writeFile(
+      `${presetsFile}.tmp`,
+      JSON.stringify(presets, null, 2),
+      "utf8"
+    );
+    await fs.rename(`${presetsFile}.tmp`, presetsFile);
+  }
+
+  // Build the next presets from the current ones inside the write queue and
+  // keep them in memory only once they are on disk, so a failed write
+  // leaves the API and the file in agreement
+  static commitPresets(change) {
+    const run = writeQueue.then(async () => {
+      const { presets, result } = change(customPresets);
+      await PresetUtils.writePresets(presets);
+      customPresets = presets;
+      return result;
+    });
+    writeQueue = run.catch(() => {});
+    return run;
+  }
+
+  static getCustomPresets() {
+    return customPresets;
+  }
+
+  static isBuiltIn(name) {
+    return Object.prototype.hasOwnProperty.call(VIDEO_EFFECT_PRESETS, name);
+  }
+
+  static exists(name) {
+    return (
+      PresetUtils.isBuiltIn(name) ||
+      Object.prototype.hasOwnProperty.call(customPresets, name)
+    );
+  }
+
+  static validatePresetName(name) {
+    if (typeof name !== "string" || !PRESET_NAME_PATTERN.test(name)) {
+      return [
+        "Preset name must be 1-40 lowercase letters, digits, dashes or underscores",
+      ];
+    }
+    return [];
+  }
+
+  static isFull() {
+    return Object.keys(customPresets).length >= CUSTOM_PRESET_LIMITS.maxPresets;
+  }
+
+  static createPreset(name, definition) {
+    const now = new Date().toISOString();
+    const preset = {
+      ...definition,
+      custom: true,
+      createdAt: now,
+      updatedAt: now,
+    };
+    return PresetUtils.commitPresets((current) => ({
+      presets: { ...current, [name]: preset },
+      result: preset,
+    }));
+  }
+
+  static updatePreset(name, definition) {
+    return PresetUtils.commitPresets((current) => {
+      const preset = {
+        ...definition,
+        custom: true,
+        createdAt: current[name].createdAt,
+        updatedAt: new Date().toISOString(),
+      };
+      return { presets: { ...current, [name]: preset }, result: preset };
+    });
+  }
+
+  static deletePreset(name) {
+    return PresetUtils.commitPresets((current) => {
+      const { [name]: removed, ...remaining } = current;
+      return { presets: remaining, result: removed };
+    });
+  }
+}
+
+module.exports = PresetUtils;
@@ -0,0 +1,172 @@
+const crypto = require("crypto");
+const ffmpeg = require("fluent-ffmpeg");
+const fs = require("fs-extra");
+const path = require("path");
+const DirectoryUtils = require("./directory.utils");
+const VideoEffectsUtils = require("./videoEffects.utils");
+const {
+  PREVIEW_DEFAULTS,
+  SUPPORTED_IMAGE_FORMATS,
+} = require("../constants/constants");
+
+const PREVIEW_FILE_PATTERN = /^preview_[0-9a-f]{16}\.mp4$/;
+
+// Test patterns generated only when the samples directory (see
+// SAMPLE_IMAGES_DIR) has fewer than two images
+const GENERATED_SAMPLES = [
+  { name: "sample_1.png", source: "mandelbrot" },
+  { name: "sample_2.png", source: "testsrc2" },
+];
+
+// Preview filename -> id of the job rendering it
+const pendingPreviews = new Map();
+
+const runCommand = (command) =>
+  new Promise((resolve, reject) => {
+    command
+      .on("end", () => resolve())
+      .on("error", (err) => reject(err))
+      .run();
+  });
+
+class PreviewUtils {
+  static isPreviewFilename(filename) {
+    return PREVIEW_FILE_PATTERN.test(filename || "");
+  }
+
+  static async getPreviewPath(filename) {
+    const { outputPreviews } = DirectoryUtils.getUploadDirsFromEnv();
+    await DirectoryUtils.ensureDirectories([outputPreviews]);
+    return path.join(outputPreviews, filename);
+  }
+
+  /**
+   * Images effect previews are shown on when the request names none: the
+   * photos bundled in the samples directory.
+   */
+  static async getSampleImages() {
+    const { sampleImages } = DirectoryUtils.getUploadDirsFromEnv();
+    await DirectoryUtils.ensureDirectories([sampleImages]);
+
+    const listSamples = async () =>
+      (await fs.readdir(sampleImages))
+        .filter((name) =>
+          DirectoryUtils.hasAllowedExtension(name, SUPPORTED_IMAGE_FORMATS)
+        )
+        .sort()
+        .slice(0, PREVIEW_DEFAULTS.maxImages)
+        .map((name) => path.join(sampleImages, name));
+
+    let samples = await listSamples();
+    if (samples.length >= 2) return samples;
+
+    console.log("🖼️ Generating sample images for effect previews...");
+    for (const sample of GENERATED_SAMPLES) {
+      await runCommand(
+        ffmpeg()
+          .input(`${sample.source}=s=1280x720`)
+          .inputFormat("lavfi")
+          .outputOptions(["-frames:v", "1"])
+          .output(path.join(sampleImages, sample.name))
+      );
+    }
+
+    samples = await listSamples();
+    return samples;
+  }
+
+  // Silent track to stand in for the voiceover
+  static async getSilence(duration) {
+    const { temp } = DirectoryUtils.getUploadDirsFromEnv();
+    const silenceDir = path.join(temp, "previews");
+    await DirectoryUtils.ensureDirectories([silenceDir]);
+
+    const silencePath = path.join(silenceDir, `silence_${duration}s.m4a`);
+    if (!(await DirectoryUtils.fileExists(silencePath))) {
+      await runCommand(
+        ffmpeg()
+          .input("anullsrc=r=44100:cl=stereo")
+          .inputFormat("lavfi")
+          .outputOptions(["-t", String(duration), "-c:a", "aac"])
+          .output(silencePath)
+      );
+    }
+
+    return silencePath;
+  }
+
+  // Same effects on the same image files (by size and mtime) share a clip
+  static async getPreviewFilename(effects, imagePaths) {
+    const images = [];
+    for (const imagePath of imagePaths) {
+      const stats = await DirectoryUtils.getFileStats(imagePath);
+      images.push([path.basename(imagePath), stats?.size, stats?.mtimeMs]);
+    }
+
+    const key = crypto
+      .createHash("sha1")
+      .update(JSON.stringify({ effects, images, PREVIEW_DEFAULTS }))
+      .digest("hex")
+      .slice(0, 16);
+
+    return `preview_${key}.mp4`;
+  }
+
+  static getPreviewUrl(filename) {
+    return `/api/video/effects/previews/${filename}`;
+  }
+
+  static async findCachedPreview(filename) {
+    return DirectoryUtils.fileExists(
+      await PreviewUtils.getPreviewPath(filename)
+    );
+  }
+
+  static getPendingJobId(filename) {
+    return pendingPreviews.get(filename) || null;
+  }
+
+  static setPendingJobId(filename, jobId) {
+    pendingPreviews.set(filename, jobId);
+  }
+
+  /**
+   * Render a preview clip through the regular effects pipeline. The clip is
+   * written under a temporary name and moved into place when complete, so a
+   * cached file is always playable.
+   */
+  static async renderPreview(effects, imagePaths, filename) {
+    try {
+      const duration = imagePaths.length * PREVIEW_DEFAULTS.imageDuration;
+      const silencePath = await PreviewUtils.getSilence(duration);
+      const previewPath = await PreviewUtils.getPreviewPath(filename);
+      const partialPath = previewPath.replace(/\.mp4$/, ".partial.mp4");
+
+      const { command } = VideoEffectsUtils.createVideoWithEffects(
+        imagePaths,
+        silencePath,
+        partialPath,
+        duration,
+        effects,
+        effects.transition || "none",
+        {
+          output: {
+            width: PREVIEW_DEFAULTS.width,
+            height: PREVIEW_DEFAULTS.height,
+            format: "mp4",
+          },
+        }
+      );
+
+      console.log(`🎞️ Rendering effect preview ${filename}...`);
+      await runCommand(command);
+      await fs.move(partialPath, previewPath, { overwrite: true });
+
+      return previewPath;
+    } finally {
+      pendingPreviews.delete(filename);
+    }
+  }
+}
+
+module.exports = PreviewUtils;
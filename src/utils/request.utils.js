@@ -0,0 +1,30 @@
+// Helpers for reading structured values out of multipart form bodies.
+// multer turns `field[key]=value` into nested objects, but clients may also
+// send the same option as a JSON string.
+class RequestUtils {
+  static parseJsonField(value, fieldName, fallback = null) {
+    if (value === undefined || value === null || value === "") {
+      return { value: fallback, error: null };
+    }
+
+    if (typeof value === "object") {
+      return { value, error: null };
+    }
+
+    try {
+      return { value: JSON.parse(value), error: null };
+    } catch (error) {
+      return { value: fallback, error: `${fieldName} must be valid JSON` };
+    }
+  }
+
+  static parseBoolean(value, fallback = false) {
+    if (value === undefined || value === null || value === "") {
+      return fallback;
+    }
+    if (typeof value === "boolean") return value;
+    return ["true", "1", "yes", "on"].includes(String(value).toLowerCase());
+  }
+}
+
+module.exports = RequestUtils;
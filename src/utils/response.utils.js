@@ -71,6 +71,21 @@ class ResponseUtils {
     return res.status(responseData.statusCode).json(responseData);
   }
 
+  // Server-Sent Events helpers
+  static openEventStream(res) {
+    res.writeHead(200, {
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no",
+    });
+    res.flushHeaders?.();
+  }
+
+  static sendEvent(res, event, data) {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  }
+
   static paginated(
     data,
     page,
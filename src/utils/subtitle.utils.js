@@ -0,0 +1,298 @@
+const fs = require("fs-extra");
+const path = require("path");
+const SrtParser = require("srt-parser-2").default;
+const DirectoryUtils = require("./directory.utils");
+const {
+  SUPPORTED_SUBTITLE_FORMATS,
+  SUBTITLE_MODES,
+  SUBTITLE_POSITIONS,
+  SUBTITLE_STYLE_DEFAULTS,
+} = require("../constants/constants");
+
+const TIMESTAMP_PATTERN = /(?:(\d{1,2}):)?(\d{1,2}):(\d{1,2})[.,](\d{1,3})/;
+
+// Style values end up inside force_style='...', so fonts are limited to
+// plain family names and sizes to numbers
+const FONT_NAME = /^[\w .-]+$/;
+
+const isNumber = (value) =>
+  value !== "" && value !== null && Number.isFinite(Number(value));
+
+class SubtitleUtils {
+  static getSupportedSubtitleFormats() {
+    return SUPPORTED_SUBTITLE_FORMATS;
+  }
+
+  static async parseSubtitleFile(filePath) {
+    const content = await fs.readFile(filePath, "utf8");
+    return SubtitleUtils.parseSubtitleContent(content);
+  }
+
+  /**
+   * Parse SRT or WebVTT text into cues.
+   * Both formats are first rewritten as canonical SRT (numbered cues,
+   * HH:MM:SS,mmm timestamps, no cue settings) because srt-parser-2 only
+   * understands that exact shape.
+   */
+  static parseSubtitleContent(content) {
+    const blocks = content
+      .replace(/^\uFEFF/, "")
+      .replace(/\r\n?/g, "\n")
+      .split(/\n{2,}/);
+
+    const canonicalBlocks = [];
+
+    for (const block of blocks) {
+      const lines = block.split("\n").filter((line) => line.trim() !== "");
+      const timingIndex = lines.findIndex((line) => line.includes("-->"));
+
+      // Skips the WEBVTT header, NOTE, STYLE and REGION blocks
+      if (timingIndex === -1) continue;
+
+      const [rawStart, rawEnd] = lines[timingIndex].split("-->");
+      const startSeconds = SubtitleUtils.parseTimestamp(rawStart);
+      const endSeconds = SubtitleUtils.parseTimestamp(rawEnd);
+
+      if (startSeconds === null || endSeconds === null) {
+        throw new Error(`Invalid subtitle timing: ${lines[timingIndex]}`);
+      }
+
+      canonicalBlocks.push(
+        [
+          canonicalBlocks.length + 1,
+          `${SubtitleUtils.formatTimestamp(
+            startSeconds
+          )} --> ${SubtitleUtils.formatTimestamp(endSeconds)}`,
+          ...lines.slice(timingIndex + 1),
+        ].join("\n")
+      );
+    }
+
+    if (canonicalBlocks.length === 0) {
+      return [];
+    }
+
+    const parser = new SrtParser();
+    return parser.fromSrt(canonicalBlocks.join("\n\n") + "\n");
+  }
+
+  static parseTimestamp(value) {
+    const match = TIMESTAMP_PATTERN.exec(value || "");
+    if (!match) return null;
+
+    const [, hours = "0", minutes, seconds, fraction] = match;
+    return (
+      parseInt(hours, 10) * 3600 +
+      parseInt(minutes, 10) * 60 +
+      parseInt(seconds, 10) +
+      parseInt(fraction.padEnd(3, "0"), 10) / 1000
+    );
+  }
+
+  static formatTimestamp(totalSeconds, separator = ",") {
+    const totalMs = Math.max(0, Math.round(totalSeconds * 1000));
+    const hours = Math.floor(totalMs / 3600000);
+    const minutes = Math.floor((totalMs % 3600000) / 60000);
+    const seconds = Math.floor((totalMs % 60000) / 1000);
+    const ms = totalMs % 1000;
+
+    const pad = (value, length = 2) => String(value).padStart(length, "0");
+    return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}${separator}${pad(
+      ms,
+      3
+    )}`;
+  }
+
+  // Validate cue timing against the (final) voiceover duration
+  static validateCues(cues, audioDuration, toleranceSeconds = 0.5) {
+    const errors = [];
+
+    if (!cues || cues.length === 0) {
+      errors.push("Subtitle file contains no cues");
+    }
+
+    (cues || []).forEach((cue, index) => {
+      const label = `Subtitle cue ${index + 1}`;
+
+      if (cue.endSeconds <= cue.startSeconds) {
+        errors.push(`${label} ends before it starts`);
+      }
+
+      if (cue.startSeconds >= audioDuration) {
+        errors.push(
+          `${label} starts at ${cue.startSeconds}s, after the audio ends (${audioDuration}s)`
+        );
+      } else if (cue.endSeconds > audioDuration + toleranceSeconds) {
+        errors.push(
+          `${label} ends at ${cue.endSeconds}s, after the audio ends (${audioDuration}s)`
+        );
+      }
+    });
+
+    return {
+      isValid: errors.length === 0,
+      errors,
+    };
+  }
+
+  static validateSubtitleOptions(options = {}) {
+    const errors = [];
+    const style = options.style || {};
+
+    if (options.mode && !SUBTITLE_MODES.includes(options.mode)) {
+      errors.push(
+        `Invalid subtitle mode: ${
+          options.mode
+        }. Use one of ${SUBTITLE_MODES.join(", ")}`
+      );
+    }
+
+    if (
+      style.position !== undefined &&
+      !Object.prototype.hasOwnProperty.call(SUBTITLE_POSITIONS, style.position)
+    ) {
+      errors.push(`Invalid subtitle position: ${style.position}`);
+    }
+
+    if (style.font !== undefined && !FONT_NAME.test(style.font)) {
+      errors.push("Subtitle font must be a font family name");
+    }
+
+    if (
+      style.fontSize !== undefined &&
+      !(isNumber(style.fontSize) && Number(style.fontSize) > 0)
+    ) {
+      errors.push("Subtitle fontSize must be a positive number");
+    }
+
+    ["outline", "marginV"].forEach((key) => {
+      if (
+        style[key] !== undefined &&
+        !(isNumber(style[key]) && Number(style[key]) >= 0)
+      ) {
+        errors.push(`Subtitle ${key} must be a number of 0 or more`);
+      }
+    });
+
+    ["color", "outlineColor"].forEach((key) => {
+      if (style[key] && !/^#?[0-9a-f]{6}$/i.test(style[key])) {
+        errors.push(`Subtitle ${key} must be a hex color like #FFFFFF`);
+      }
+    });
+
+    return {
+      isValid: errors.length === 0,
+      errors,
+    };
+  }
+
+  static resolveStyle(style = {}) {
+    const resolved = { ...SUBTITLE_STYLE_DEFAULTS, ...style };
+    ["fontSize", "outline", "marginV"].forEach((key) => {
+      resolved[key] = Number(resolved[key]);
+    });
+    return resolved;
+  }
+
+  static async getOutputPath(filename) {
+    const { outputSubtitles } = DirectoryUtils.getUploadDirsFromEnv();
+    await DirectoryUtils.ensureDirectories([outputSubtitles]);
+    return path.join(outputSubtitles, filename);
+  }
+
+  // Transcript segments ({ start, end, text }) -> parser-style cues
+  static transcriptToCues(segments) {
+    return segments.map((segment) => ({
+      startSeconds: segment.start,
+      endSeconds: segment.end,
+      text: segment.text,
+    }));
+  }
+
+  // Write cues as SRT into the output subtitles directory
+  static async writeSrtFile(cues, baseName) {
+    const parser = new SrtParser();
+    const srtContent = parser.toSrt(
+      cues.map((cue, index) => ({
+        id: String(index + 1),
+        startTime: SubtitleUtils.formatTimestamp(cue.startSeconds),
+        endTime: SubtitleUtils.formatTimestamp(cue.endSeconds),
+        text: cue.text,
+      }))
+    );
+
+    const outputPath = await SubtitleUtils.getOutputPath(`${baseName}.srt`);
+    await fs.writeFile(outputPath, srtContent, "utf8");
+    return outputPath;
+  }
+
+  // Write cues as WebVTT into the output subtitles directory
+  static async writeVttFile(cues, baseName) {
+    const body = cues
+      .map(
+        (cue) =>
+          `${SubtitleUtils.formatTimestamp(
+            cue.startSeconds,
+            "."
+          )} --> ${SubtitleUtils.formatTimestamp(cue.endSeconds, ".")}\n${
+            cue.text
+          }`
+      )
+      .join("\n\n");
+
+    const outputPath = await SubtitleUtils.getOutputPath(`${baseName}.vtt`);
+    await fs.writeFile(outputPath, `WEBVTT\n\n${body}\n`, "utf8");
+    return outputPath;
+  }
+
+  // "#RRGGBB" -> ASS "&H00BBGGRR"
+  static toAssColor(hexColor) {
+    const hex = hexColor.replace("#", "");
+    const [r, g, b] = [0, 2, 4].map((i) => hex.substring(i, i + 2));
+    return `&H00${b}${g}${r}`.toUpperCase();
+  }
+
+  static escapeFilterPath(filePath) {
+    return filePath
+      .replace(/\\/g, "/")
+      .replace(/:/g, "\\:")
+      .replace(/'/g, "\\'");
+  }
+
+  // Burn subtitles into the picture with the `subtitles` (libass) filter
+  static generateBurnFilter(inputLabel, subtitlePath, style, outputLabel) {
+    const resolved = SubtitleUtils.resolveStyle(style);
+    const forceStyle = [
+      `FontName=${resolved.font}`,
+      `FontSize=${resolved.fontSize}`,
+      `PrimaryColour=${SubtitleUtils.toAssColor(resolved.color)}`,
+      `OutlineColour=${SubtitleUtils.toAssColor(resolved.outlineColor)}`,
+      `Outline=${resolved.outline}`,
+      `Alignment=${SUBTITLE_POSITIONS[resolved.position]}`,
+      `MarginV=${resolved.marginV}`,
+    ].join(",");
+
+    return `${inputLabel}subtitles=filename='${SubtitleUtils.escapeFilterPath(
+      subtitlePath
+    )}':force_style='${forceStyle}'${outputLabel}`;
+  }
+
+  // Output options to mux a subtitle input as a soft track
+  // (mov_text for MP4, webvtt for WebM)
+  static getSoftSubtitleOptions(
+    inputIndex,
+    language = "eng",
+    codec = "mov_text"
+  ) {
+    return [
+      "-map",
+      `${inputIndex}:s`,
+      "-c:s",
+      codec,
+      "-metadata:s:s:0",
+      `language=${language}`,
+    ];
+  }
+}
+
+module.exports = SubtitleUtils;
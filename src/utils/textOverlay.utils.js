@@ -0,0 +1,357 @@
+const fs = require("fs-extra");
+const path = require("path");
+const DirectoryUtils = require("./directory.utils");
+const RequestUtils = require("./request.utils");
+const SubtitleUtils = require("./subtitle.utils");
+const VideoUtils = require("./video.utils");
+const {
+  TEXT_POSITIONS,
+  TEXT_STYLE_DEFAULTS,
+  TITLE_CARD_BACKGROUNDS,
+  TITLE_CARD_DEFAULTS,
+  MAX_TEXT_LENGTH,
+  FIT_DEFAULTS,
+} = require("../constants/constants");
+
+const HEX_COLOR = /^#?[0-9a-f]{6}$/i;
+const FONT_NAME = /^[\w .-]+$/;
+
+const TEXT_REFERENCE_HEIGHT = 1080;
+
+const round = (value) => Math.round(value * 1000) / 1000;
+const toHex = (color) => (color.startsWith("#") ? color : `#${color}`);
+
+class TextOverlayUtils {
+  static validateTextStyle(style = {}, label = "text style") {
+    const errors = [];
+
+    if (!style || typeof style !== "object" || Array.isArray(style)) {
+      return [`${label} must be an object`];
+    }
+
+    if (style.font !== undefined && !FONT_NAME.test(style.font)) {
+      errors.push(`${label} font must be a font family name`);
+    }
+
+    if (
+      style.position !== undefined &&
+      !TEXT_POSITIONS.includes(style.position)
+    ) {
+      errors.push(
+        `${label} position must be one of ${TEXT_POSITIONS.join(", ")}`
+      );
+    }
+
+    ["color", "boxColor"].forEach((key) => {
+      if (style[key] !== undefined && !HEX_COLOR.test(style[key])) {
+        errors.push(`${label} ${key} must be a hex color like #FFFFFF`);
+      }
+    });
+
+    if (style.fontSize !== undefined && !(parseFloat(style.fontSize) > 0)) {
+      errors.push(`${label} fontSize must be a positive number`);
+    }
+
+    if (style.boxOpacity !== undefined) {
+      const opacity = parseFloat(style.boxOpacity);
+      if (!(opacity >= 0 && opacity <= 1)) {
+        errors.push(`${label} boxOpacity must be between 0 and 1`);
+      }
+    }
+
+    ["boxPadding", "margin", "fadeIn", "fadeOut"].forEach((key) => {
+      if (style[key] !== undefined && !(parseFloat(style[key]) >= 0)) {
+        errors.push(`${label} ${key} must be 0 or more`);
+      }
+    });
+
+    return errors;
+  }
+
+  // Defaults, then `base` (e.g. the request-wide caption style), then the
+  // entry's own style
+  static resolveTextStyle(style = {}, base = {}) {
+    const merged = { ...TEXT_STYLE_DEFAULTS, ...base, ...style };
+
+    return {
+      font: merged.font,
+      fontSize: parseFloat(merged.fontSize),
+      color: toHex(merged.color),
+      box: RequestUtils.parseBoolean(merged.box),
+      boxColor: toHex(merged.boxColor),
+      boxOpacity: parseFloat(merged.boxOpacity),
+      boxPadding: parseFloat(merged.boxPadding),
+      position: merged.position,
+      margin: parseFloat(merged.margin),
+      fadeIn: parseFloat(merged.fadeIn),
+      fadeOut: parseFloat(merged.fadeOut),
+    };
+  }
+
+  static validateText(text, label) {
+    if (typeof text !== "string" || text.trim() === "") {
+      return [`${label} text must be a non-empty string`];
+    }
+    if (text.length > MAX_TEXT_LENGTH) {
+      return [`${label} text must be at most ${MAX_TEXT_LENGTH} characters`];
+    }
+    return [];
+  }
+
+  // A caption is either plain text or `{ text, ...style }`
+  static splitCaption(caption) {
+    if (typeof caption === "string") return { text: caption, style: {} };
+    const { text, ...style } = caption || {};
+    return { text, style };
+  }
+
+  static validateCaption(caption, label) {
+    const { text, style } = TextOverlayUtils.splitCaption(caption);
+    return [
+      ...TextOverlayUtils.validateText(text, label),
+      ...TextOverlayUtils.validateTextStyle(style, label),
+    ];
+  }
+
+  static resolveCaption(caption, captionStyle = {}) {
+    if (!caption) return null;
+    const { text, style } = TextOverlayUtils.splitCaption(caption);
+    return {
+      text,
+      style: TextOverlayUtils.resolveTextStyle(style, captionStyle),
+    };
+  }
+
+  /**
+   * Resolve `effects.titleCards` ({ intro, outro }); each card is
+   * `{ text, duration, background, backgroundColor, ...style }`.
+   */
+  static resolveTitleCards(titleCards) {
+    const errors = [];
+    const resolved = { intro: null, outro: null };
+
+    if (titleCards === undefined || titleCards === null) {
+      return { isValid: true, errors, titleCards: resolved };
+    }
+
+    if (typeof titleCards !== "object" || Array.isArray(titleCards)) {
+      return {
+        isValid: false,
+        errors: ["titleCards must be an object with intro and/or outro"],
+        titleCards: resolved,
+      };
+    }
+
+    Object.keys(titleCards)
+      .filter((key) => !["intro", "outro"].includes(key))
+      .forEach((key) => errors.push(`titleCards has unsupported card: ${key}`));
+
+    ["intro", "outro"].forEach((name) => {
+      const card = titleCards[name];
+      if (!card) return;
+
+      const label = `titleCards.${name}`;
+      const { text, duration, background, backgroundColor, ...style } = card;
+
+      errors.push(
+        ...TextOverlayUtils.validateText(text, label),
+        ...TextOverlayUtils.validateTextStyle(style, label)
+      );
+
+      const seconds = parseFloat(duration ?? TITLE_CARD_DEFAULTS.duration);
+      if (!(seconds > 0 && seconds <= TITLE_CARD_DEFAULTS.maxDuration)) {
+        errors.push(
+          `${label} duration must be between 0 and ${TITLE_CARD_DEFAULTS.maxDuration} seconds`
+        );
+      }
+
+      const cardBackground = background || TITLE_CARD_DEFAULTS.background;
+      if (!TITLE_CARD_BACKGROUNDS.includes(cardBackground)) {
+        errors.push(
+          `${label} background must be one of ${TITLE_CARD_BACKGROUNDS.join(
+            ", "
+          )}`
+        );
+      }
+
+      const color = backgroundColor || TITLE_CARD_DEFAULTS.backgroundColor;
+      if (!HEX_COLOR.test(color)) {
+        errors.push(
+          `${label} backgroundColor must be a hex color like #000000`
+        );
+      }
+
+      resolved[name] = {
+        text,
+        duration: seconds,
+        background: cardBackground,
+        backgroundColor: toHex(color),
+        style: TextOverlayUtils.resolveTextStyle(
+          style,
+          TITLE_CARD_DEFAULTS.style
+        ),
+      };
+    });
+
+    return {
+      isValid: errors.length === 0,
+      errors,
+      titleCards: resolved,
+    };
+  }
+
+  static getCardDurations(titleCards) {
+    return {
+      intro: titleCards?.intro?.duration || 0,
+      outro: titleCards?.outro?.duration || 0,
+    };
+  }
+
+  // drawtext reads text from a file so user text never has to survive
+  // filtergraph escaping
+  static async writeTextFile(text, filename) {
+    const { temp } = DirectoryUtils.getUploadDirsFromEnv();
+    const textDir = path.join(temp, "text");
+    await DirectoryUtils.ensureDirectories([textDir]);
+
+    const textPath = path.join(textDir, filename);
+    await fs.writeFile(textPath, text, "utf8");
+    return textPath;
+  }
+
+  // Title cards and per-image captions with their text files written
+  static async prepareTextFiles(titleCards, captions, baseName) {
+    const withFile = async (entry, name) =>
+      entry && {
+        ...entry,
+        textFile: await TextOverlayUtils.writeTextFile(
+          entry.text,
+          `${baseName}_${name}.txt`
+        ),
+      };
+
+    const preparedCaptions = [];
+    for (let index = 0; index < captions.length; index++) {
+      preparedCaptions.push(
+        await withFile(captions[index], `caption_${index}`)
+      );
+    }
+
+    return {
+      intro: await withFile(titleCards?.intro, "intro"),
+      outro: await withFile(titleCards?.outro, "outro"),
+      captions: preparedCaptions,
+    };
+  }
+
+  static async removeTextFiles(text) {
+    if (!text) return;
+
+    const files = [text.intro, text.outro, ...text.captions]
+      .filter(Boolean)
+      .map((entry) => entry.textFile);
+
+    await Promise.all(files.map((file) => fs.remove(file).catch(() => {})));
+  }
+
+  static getPosition(position, margin) {
+    const centerX = "(w-text_w)/2";
+    const positions = {
+      top: { x: centerX, y: `${margin}` },
+      middle: { x: centerX, y: "(h-text_h)/2" },
+      bottom: { x: centerX, y: `h-text_h-${margin}` },
+      "top-left": { x: `${margin}`, y: `${margin}` },
+      "top-right": { x: `w-text_w-${margin}`, y: `${margin}` },
+      "bottom-left": { x: `${margin}`, y: `h-text_h-${margin}` },
+      "bottom-right": { x: `w-text_w-${margin}`, y: `h-text_h-${margin}` },
+    };
+
+    return positions[position] || positions.bottom;
+  }
+
+  // Text fades in after `start` and out before `end`; fades are capped at
+  // half the time on screen
+  static getAlphaExpression(start, end, fadeIn, fadeOut) {
+    const half = (end - start) / 2;
+    const fadeInTime = round(Math.min(fadeIn, half));
+    const fadeOutTime = round(Math.min(fadeOut, half));
+
+    const fadeOutExpression =
+      fadeOutTime > 0
+        ? `if(gt(t,${round(end - fadeOutTime)}),(${end}-t)/${fadeOutTime},1)`
+        : "1";
+
+    return fadeInTime > 0
+      ? `if(lt(t,${round(
+          start + fadeInTime
+        )}),(t-${start})/${fadeInTime},${fadeOutExpression})`
+      : fadeOutExpression;
+  }
+
+  // Sizes in a style are for a 1080-pixel-high frame and scale with the
+  // output so text keeps its proportions across profiles
+  static generateDrawtextFilter(textFile, style, start, end, frameHeight) {
+    const scale =
+      (frameHeight || TEXT_REFERENCE_HEIGHT) / TEXT_REFERENCE_HEIGHT;
+    const size = (value) => Math.max(0, Math.round(value * scale));
+
+    const { x, y } = TextOverlayUtils.getPosition(
+      style.position,
+      size(style.margin)
+    );
+    const options = [
+      `font='${style.font}'`,
+      `textfile='${SubtitleUtils.escapeFilterPath(textFile)}'`,
+      "expansion=none",
+      `fontsize=${Math.max(1, size(style.fontSize))}`,
+      `fontcolor=${style.color}`,
+      ...(style.box
+        ? [
+            "box=1",
+            `boxcolor=${style.boxColor}@${style.boxOpacity}`,
+            `boxborderw=${size(style.boxPadding)}`,
+          ]
+        : []),
+      `x=${x}`,
+      `y=${y}`,
+      `alpha='${TextOverlayUtils.getAlphaExpression(
+        start,
+        end,
+        style.fadeIn,
+        style.fadeOut
+      )}'`,
+      `enable='between(t,${start},${end})'`,
+    ];
+
+    return `drawtext=${options.join(":")}`;
+  }
+
+  /**
+   * Background segment for a title card, written to `[<name>card]`.
+   * A blurred card uses `sourceIndex` (an image input) filling the frame.
+   */
+  static generateCardFilters(card, name, { width, height, fps, sourceIndex }) {
+    const frames = Math.max(1, Math.round(card.duration * fps));
+
+    if (card.background === "blur") {
+      return [
+        VideoUtils.generateFitFilter(
+          `[${sourceIndex}:v]`,
+          "cover",
+          width,
+          height,
+          `[${name}src]`,
+          { labelPrefix: `${name}fit` }
+        ),
+        `[${name}src]boxblur=${FIT_DEFAULTS.blurRadius}:2,` +
+          `zoompan=z='1':x='0':y='0':d=${frames}:s=${width}x${height}:fps=${fps},setsar=1[${name}card]`,
+      ];
+    }
+
+    return [
+      `color=c=${card.backgroundColor}:s=${width}x${height}:r=${fps}:d=${card.duration},setsar=1[${name}card]`,
+    ];
+  }
+}
+
+module.exports = TextOverlayUtils;
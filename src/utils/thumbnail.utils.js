@@ -0,0 +1,171 @@
+const ffmpeg = require("fluent-ffmpeg");
+const fs = require("fs-extra");
+const path = require("path");
+const DirectoryUtils = require("./directory.utils");
+const SubtitleUtils = require("./subtitle.utils");
+const { THUMBNAIL_DEFAULTS } = require("../constants/constants");
+
+class ThumbnailUtils {
+  // `output.posterAt` is seconds into the video or "firstImage"
+  static resolvePosterOption(output = {}) {
+    const errors = [];
+    const value = output.posterAt ?? THUMBNAIL_DEFAULTS.posterAt;
+
+    if (value === "firstImage") {
+      return { isValid: true, errors, posterAt: value };
+    }
+
+    const seconds = parseFloat(value);
+    if (!Number.isFinite(seconds) || seconds < 0) {
+      errors.push('posterAt must be a number of seconds or "firstImage"');
+    }
+
+    return { isValid: errors.length === 0, errors, posterAt: seconds };
+  }
+
+  static async getOutputPath(filename) {
+    const { outputThumbnails } = DirectoryUtils.getUploadDirsFromEnv();
+    await DirectoryUtils.ensureDirectories([outputThumbnails]);
+    return path.join(outputThumbnails, filename);
+  }
+
+  static runCommand(command) {
+    return new Promise((resolve, reject) => {
+      command
+        .on("end", () => resolve())
+        .on("error", (err) => reject(err))
+        .run();
+    });
+  }
+
+  static async generatePoster(videoPath, baseName, timestamp) {
+    const posterPath = await ThumbnailUtils.getOutputPath(`${baseName}.jpg`);
+
+    await ThumbnailUtils.runCommand(
+      ffmpeg(videoPath)
+        .seekInput(Math.max(0, timestamp))
+        .outputOptions(["-frames:v", "1", "-q:v", "2"])
+        .output(posterPath)
+    );
+
+    return posterPath;
+  }
+
+  // One thumbnail every `interval` seconds laid out row by row
+  static getSpriteLayout(duration, width, height) {
+    const { spriteInterval, spriteThumbWidth, spriteColumns, maxSpriteThumbs } =
+      THUMBNAIL_DEFAULTS;
+
+    const interval = Math.max(
+      spriteInterval,
+      Math.ceil(duration / maxSpriteThumbs)
+    );
+    const count = Math.max(1, Math.ceil(duration / interval));
+    const columns = Math.min(spriteColumns, count);
+
+    return {
+      interval,
+      count,
+      columns,
+      rows: Math.ceil(count / columns),
+      thumbWidth: spriteThumbWidth,
+      thumbHeight: Math.round((spriteThumbWidth * height) / width / 2) * 2 || 2,
+    };
+  }
+
+  // WebVTT cues pointing at regions of the sprite image (#xywh=)
+  static buildSpriteVtt(layout, duration, spriteUrl) {
+    const cues = [];
+
+    for (let i = 0; i < layout.count; i++) {
+      const start = i * layout.interval;
+      const end = Math.min((i + 1) * layout.interval, duration);
+      const x = (i % layout.columns) * layout.thumbWidth;
+      const y = Math.floor(i / layout.columns) * layout.thumbHeight;
+
+      cues.push(
+        `${SubtitleUtils.formatTimestamp(
+          start,
+          "."
+        )} --> ${SubtitleUtils.formatTimestamp(end, ".")}\n` +
+          `${spriteUrl}#xywh=${x},${y},${layout.thumbWidth},${layout.thumbHeight}`
+      );
+    }
+
+    return `WEBVTT\n\n${cues.join("\n\n")}\n`;
+  }
+
+  static async generateSpriteSheet(videoPath, baseName, options) {
+    const { duration, width, height } = options;
+    const layout = ThumbnailUtils.getSpriteLayout(duration, width, height);
+
+    const spriteFile = `${baseName}_sprite.jpg`;
+    const vttFile = `${baseName}_sprite.vtt`;
+    const spritePath = await ThumbnailUtils.getOutputPath(spriteFile);
+    const vttPath = await ThumbnailUtils.getOutputPath(vttFile);
+
+    await ThumbnailUtils.runCommand(
+      ffmpeg(videoPath)
+        .outputOptions([
+          "-vf",
+          `fps=1/${layout.interval},scale=${layout.thumbWidth}:${layout.thumbHeight},tile=${layout.columns}x${layout.rows}`,
+          "-frames:v",
+          "1",
+          "-q:v",
+          "3",
+        ])
+        .output(spritePath)
+    );
+
+    await fs.writeFile(
+      vttPath,
+      ThumbnailUtils.buildSpriteVtt(
+        layout,
+        duration,
+        `/api/video/sprites/${spriteFile}`
+      ),
+      "utf8"
+    );
+
+    return { spritePath, vttPath, layout };
+  }
+
+  /**
+   * Poster frame plus sprite sheet for a finished render.
+   * Files go to output/thumbnails and are named after the video.
+   */
+  static async generateThumbnails(videoPath, baseName, options) {
+    const { duration, width, height, posterTime } = options;
+
+    console.log(`🖼️ Generating poster and sprite sheet for ${baseName}...`);
+
+    const posterPath = await ThumbnailUtils.generatePoster(
+      videoPath,
+      baseName,
+      posterTime
+    );
+    const { spritePath, vttPath, layout } =
+      await ThumbnailUtils.generateSpriteSheet(videoPath, baseName, {
+        duration,
+        width,
+        height,
+      });
+
+    const poster = path.basename(posterPath);
+    const sprite = path.basename(spritePath);
+    const spriteVtt = path.basename(vttPath);
+
+    return {
+      poster,
+      posterTime,
+      sprite,
+      spriteVtt,
+      spriteLayout: layout,
+      posterUrl: `/api/video/thumbnail/${poster}`,
+      spriteUrl: `/api/video/sprites/${sprite}`,
+      spriteVttUrl: `/api/video/sprites/${spriteVtt}`,
+    };
+  }
+}
+
+module.exports = ThumbnailUtils;
@@ -0,0 +1,361 @@
+// A timeline is an ordered list of segments, one per image:
+// { index, start, end, duration } in seconds, covering the whole audio.
+const TIMELINE_TOLERANCE = 0.1;
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+class TimelineUtils {
+  static fromDurations(durations) {
+    let cursor = 0;
+
+    return durations.map((duration, index) => {
+      const segment = {
+        index,
+        start: round(cursor),
+        end: round(cursor + duration),
+        duration: round(duration),
+      };
+      cursor += duration;
+      return segment;
+    });
+  }
+
+  static createEqualTimeline(imageCount, audioDuration) {
+    return TimelineUtils.fromDurations(
+      Array(imageCount).fill(audioDuration / imageCount)
+    );
+  }
+
+  /**
+   * One or more images per voiceover clip. `imagesPerClip[c]` images share
+   * clip c equally; clip durations are scaled to the concatenated audio so
+   * encoder padding does not leave the video short.
+   */
+  static createPerClipTimeline(clipDurations, imagesPerClip, audioDuration) {
+    const counts = imagesPerClip || clipDurations.map(() => 1);
+    const clipTotal = clipDurations.reduce((sum, value) => sum + value, 0);
+    const scale = clipTotal > 0 ? audioDuration / clipTotal : 1;
+
+    const segments = [];
+    let cursor = 0;
+
+    clipDurations.forEach((clipDuration, clip) => {
+      const imageDuration = (clipDuration * scale) / counts[clip];
+
+      for (let i = 0; i < counts[clip]; i++) {
+        segments.push({
+          index: segments.length,
+          clip,
+          start: round(cursor),
+          end: round(cursor + imageDuration),
+          duration: round(imageDuration),
+        });
+        cursor += imageDuration;
+      }
+    });
+
+    return segments;
+  }
+
+  /**
+   * Equal division with each cut moved to the middle of the nearest pause.
+   * A cut only snaps to a pause within half an image's share of its target
+   * that keeps every image at least `minImageDuration` long; otherwise the
+   * equal-division point is kept.
+   */
+  static createSilenceTimeline(imageCount, audioDuration, silences) {
+    const maxShift = audioDuration / imageCount / 2;
+    const minImageDuration = Math.min(1, maxShift);
+
+    // Leading/trailing silence is not a boundary between two images
+    const candidates = silences
+      .filter((pause) => pause.start > 0.05 && pause.end < audioDuration - 0.05)
+      .map((pause) => ({ ...pause, midpoint: (pause.start + pause.end) / 2 }));
+
+    const cutPoints = [];
+    const used = new Set();
+    let previousCut = 0;
+
+    for (let k = 1; k < imageCount; k++) {
+      const target = (audioDuration * k) / imageCount;
+      const latestAllowed = audioDuration - (imageCount - k) * minImageDuration;
+
+      let best = null;
+      candidates.forEach((pause, candidateIndex) => {
+        if (used.has(candidateIndex)) return;
+        if (pause.midpoint < previousCut + minImageDuration) return;
+        if (pause.midpoint > latestAllowed) return;
+        if (Math.abs(pause.midpoint - target) > maxShift) return;
+
+        if (
+          !best ||
+          Math.abs(pause.midpoint - target) <
+            Math.abs(best.pause.midpoint - target)
+        ) {
+          best = { pause, candidateIndex };
+        }
+      });
+
+      const fallbackCut = Math.min(
+        Math.max(target, previousCut + minImageDuration),
+        latestAllowed
+      );
+      const cut = best ? best.pause.midpoint : fallbackCut;
+      if (best) used.add(best.candidateIndex);
+
+      cutPoints.push({
+        target: round(target),
+        cut: round(cut),
+        snapped: Boolean(best),
+        pause: best
+          ? {
+              start: round(best.pause.start),
+              end: round(best.pause.end),
+              duration: round(best.pause.duration),
+            }
+          : null,
+      });
+      previousCut = cut;
+    }
+
+    const boundaries = [
+      0,
+      ...cutPoints.map((point) => point.cut),
+      audioDuration,
+    ];
+    const timeline = TimelineUtils.fromDurations(
+      boundaries.slice(1).map((end, index) => end - boundaries[index])
+    );
+
+    return { timeline, cutPoints };
+  }
+
+  /**
+   * Equal division with some images pinned to a fixed length.
+   * `fixedDurations[i]` is seconds or null; images without a fixed length
+   * share what is left of the audio equally.
+   */
+  static createTimelineWithFixedDurations(fixedDurations, audioDuration) {
+    const errors = [];
+    const fixedTotal = fixedDurations.reduce(
+      (sum, duration) => sum + (duration ?? 0),
+      0
+    );
+    const freeCount = fixedDurations.filter(
+      (duration) => duration === null || duration === undefined
+    ).length;
+    const remaining = audioDuration - fixedTotal;
+
+    if (freeCount === 0 && Math.abs(remaining) > TIMELINE_TOLERANCE) {
+      errors.push(
+        `image durations add up to ${round(
+          fixedTotal
+        )}s but the audio is ${audioDuration}s long`
+      );
+    } else if (freeCount > 0 && remaining < freeCount * TIMELINE_TOLERANCE) {
+      errors.push(
+        `image durations add up to ${round(
+          fixedTotal
+        )}s, leaving no time for the other ${freeCount} image(s) in ${audioDuration}s of audio`
+      );
+    }
+
+    if (errors.length > 0) {
+      return { isValid: false, errors, timeline: [] };
+    }
+
+    const durations = fixedDurations.map(
+      (duration) => duration ?? remaining / freeCount
+    );
+    const timeline = TimelineUtils.fromDurations(durations);
+
+    // Absorb rounding so the last image ends exactly with the audio
+    const last = timeline[timeline.length - 1];
+    last.end = round(audioDuration);
+    last.duration = round(last.end - last.start);
+
+    return { isValid: true, errors, timeline };
+  }
+
+  static validateClipAssignment(imagesPerClip, clipCount, imageCount) {
+    const errors = [];
+
+    if (!imagesPerClip) {
+      if (imageCount !== clipCount) {
+        errors.push(
+          `perClip mode needs one image per voiceover clip (${clipCount}) or an imagesPerClip array; got ${imageCount} images`
+        );
+      }
+      return { isValid: errors.length === 0, errors };
+    }
+
+    if (!Array.isArray(imagesPerClip) || imagesPerClip.length !== clipCount) {
+      errors.push(
+        `imagesPerClip must be an array with one count per voiceover clip (${clipCount})`
+      );
+      return { isValid: false, errors };
+    }
+
+    if (imagesPerClip.some((count) => !Number.isInteger(count) || count < 1)) {
+      errors.push("imagesPerClip counts must be whole numbers of at least 1");
+    }
+
+    const total = imagesPerClip.reduce((sum, count) => sum + count, 0);
+    if (total !== imageCount) {
+      errors.push(
+        `imagesPerClip assigns ${total} images but ${imageCount} were provided`
+      );
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors,
+    };
+  }
+
+  static getDurations(timeline) {
+    return timeline.map((segment) => segment.end - segment.start);
+  }
+
+  /**
+   * Structural checks that do not need the audio duration.
+   * Accepts an array aligned with the images, or entries carrying `index`.
+   * Each entry gives `start`/`end` or `duration` (seconds).
+   */
+  static validateManifestShape(manifest, imageCount) {
+    const errors = [];
+
+    if (!Array.isArray(manifest)) {
+      return { isValid: false, errors: ["timeline must be an array"] };
+    }
+
+    if (manifest.length !== imageCount) {
+      errors.push(
+        `timeline has ${manifest.length} entries but ${imageCount} images were provided`
+      );
+    }
+
+    const seenIndexes = new Set();
+
+    manifest.forEach((entry, position) => {
+      const label = `timeline entry ${position}`;
+
+      if (!entry || typeof entry !== "object") {
+        errors.push(`${label} must be an object`);
+        return;
+      }
+
+      const index = entry.index ?? position;
+      if (
+        !Number.isInteger(Number(index)) ||
+        index < 0 ||
+        index >= imageCount
+      ) {
+        errors.push(`${label} has an invalid image index: ${entry.index}`);
+      } else if (seenIndexes.has(Number(index))) {
+        errors.push(`${label} repeats image index ${index}`);
+      }
+      seenIndexes.add(Number(index));
+
+      const hasDuration = entry.duration !== undefined;
+
+      // A start alone does not say where the image ends
+      if (entry.end === undefined && !hasDuration) {
+        errors.push(`${label} needs an end or a duration`);
+      }
+
+      ["start", "end", "duration"].forEach((key) => {
+        if (entry[key] !== undefined && !Number.isFinite(Number(entry[key]))) {
+          errors.push(`${label} ${key} must be a number`);
+        }
+      });
+
+      if (hasDuration && !(Number(entry.duration) > 0)) {
+        errors.push(`${label} duration must be greater than 0`);
+      }
+
+      if (
+        entry.start !== undefined &&
+        entry.end !== undefined &&
+        Number(entry.end) <= Number(entry.start)
+      ) {
+        errors.push(`${label} ends before it starts`);
+      }
+    });
+
+    return {
+      isValid: errors.length === 0,
+      errors,
+    };
+  }
+
+  /**
+   * Resolve a manifest into a contiguous timeline that covers the audio.
+   * Missing starts continue from the previous segment and missing ends are
+   * derived from `duration`; gaps, overlaps and a total that does not match
+   * the audio are rejected.
+   */
+  static resolveManifest(manifest, audioDuration) {
+    const errors = [];
+
+    const entries = manifest
+      .map((entry, position) => ({ ...entry, index: entry.index ?? position }))
+      .sort((a, b) => a.index - b.index);
+
+    const timeline = [];
+    let cursor = 0;
+
+    entries.forEach((entry) => {
+      const start =
+        entry.start !== undefined ? Number(entry.start) : round(cursor);
+      const end =
+        entry.end !== undefined
+          ? Number(entry.end)
+          : start + Number(entry.duration);
+
+      if (!Number.isFinite(end) || !(end > cursor)) {
+        errors.push(`timeline image ${entry.index} has no valid end`);
+        return;
+      }
+
+      if (Math.abs(start - cursor) > TIMELINE_TOLERANCE) {
+        errors.push(
+          start > cursor
+            ? `timeline has a gap before image ${entry.index} (${round(
+                cursor
+              )}s to ${start}s)`
+            : `timeline image ${entry.index} overlaps the previous image at ${start}s`
+        );
+      }
+
+      timeline.push({
+        index: Number(entry.index),
+        start: round(cursor),
+        end: round(end),
+        duration: round(end - cursor),
+      });
+      cursor = end;
+    });
+
+    if (Math.abs(cursor - audioDuration) > TIMELINE_TOLERANCE) {
+      errors.push(
+        `timeline covers ${round(
+          cursor
+        )}s but the audio is ${audioDuration}s long`
+      );
+    } else if (timeline.length > 0) {
+      // Absorb rounding so the last image ends exactly with the audio
+      const last = timeline[timeline.length - 1];
+      last.end = round(audioDuration);
+      last.duration = round(last.end - last.start);
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors,
+      timeline,
+    };
+  }
+}
+
+module.exports = TimelineUtils;
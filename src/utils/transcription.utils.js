@@ -0,0 +1,274 @@
+const { exec } = require("child_process");
+const fs = require("fs");
+const fsp = fs.promises;
+const os = require("os");
+const path = require("path");
+const AudioUtils = require("./audio.utils");
+const SubtitleUtils = require("./subtitle.utils");
+const { TRANSCRIPTION_DEFAULTS } = require("../constants/constants");
+
+// ISO 639-1/639-2 code, or "auto" to let the engine detect it
+const LANGUAGE_CODE = /^([a-z]{2,3}|auto)$/;
+
+// whisper.cpp models whisper-node knows; ".en" models only transcribe
+// English
+const WHISPER_MODELS = {
+  en_base: { englishOnly: true },
+  en_medium: { englishOnly: true },
+  large: { englishOnly: false },
+};
+
+/**
+ * Transcription engines turn an audio file into timed text.
+ * An engine resolves `transcribe(audioPath, options)` with
+ * `{ language, words: [{ start, end, text }] }`; grouping words into
+ * subtitle segments is shared by all engines (see TranscriptionUtils).
+ */
+class TranscriptionEngine {
+  constructor(name) {
+    this.name = name;
+  }
+
+  // Errors for options this engine cannot honour; checked before a job is
+  // queued
+  validateOptions(options = {}) {
+    const language = options.language || "en";
+    return LANGUAGE_CODE.test(language)
+      ? []
+      : [`Invalid transcription language: ${language}. Use a code like en`];
+  }
+
+  async transcribe(audioPath, options = {}) {
+    throw new Error(`Transcription engine '${this.name}' is not implemented`);
+  }
+}
+
+/**
+ * whisper.cpp through the whisper-node package.
+ * whisper-node's own entry point changes the process working directory and
+ * may call process.exit when whisper.cpp is not built, so only its command
+ * builder and output parser are used here and the binary runs with a scoped
+ * cwd instead.
+ */
+class WhisperNodeEngine extends TranscriptionEngine {
+  constructor() {
+    super("whisper");
+  }
+
+  static getWhisperCppDir() {
+    if (process.env.WHISPER_CPP_DIR) return process.env.WHISPER_CPP_DIR;
+
+    const packageRoot = path.dirname(
+      require.resolve("whisper-node/package.json")
+    );
+    return path.join(packageRoot, "lib", "whisper.cpp");
+  }
+
+  static getModelName() {
+    return process.env.WHISPER_MODEL || "en_base";
+  }
+
+  validateOptions(options = {}) {
+    const errors = super.validateOptions(options);
+    const modelName = WhisperNodeEngine.getModelName();
+    const model = WHISPER_MODELS[modelName];
+    const language = options.language || "en";
+
+    if (!Object.prototype.hasOwnProperty.call(WHISPER_MODELS, modelName)) {
+      errors.push(
+        `Unknown WHISPER_MODEL: ${modelName}. Use one of ${Object.keys(
+          WHISPER_MODELS
+        ).join(", ")}`
+      );
+    } else if (model.englishOnly && language !== "en") {
+      errors.push(
+        `The ${modelName} whisper model only transcribes English; use WHISPER_MODEL=large for '${language}'`
+      );
+    }
+
+    return errors;
+  }
+
+  async transcribe(audioPath, options = {}) {
+    const errors = this.validateOptions(options);
+    if (errors.length > 0) {
+      throw new Error(errors.join("; "));
+    }
+
+    const { createCppCommand } = require("whisper-node/dist/whisper");
+    const parseTranscript = require("whisper-node/dist/tsToArray").default;
+
+    const whisperDir = WhisperNodeEngine.getWhisperCppDir();
+    const binaryExists = await fsp
+      .access(path.join(whisperDir, "main"))
+      .then(() => true)
+      .catch(() => false);
+
+    if (!binaryExists) {
+      throw new Error(
+        `whisper.cpp is not built in ${whisperDir}. Run 'make' there and download a model, or set TRANSCRIPTION_ENGINE=stub`
+      );
+    }
+
+    const tmpDir = await fsp.mkdtemp(path.join(os.tmpdir(), "vm-whisper-"));
+
+    try {
+      const wavPath = await AudioUtils.convertForSpeechRecognition(
+        path.resolve(audioPath),
+        path.join(tmpDir, "speech.wav")
+      );
+
+      const language = options.language || "en";
+
+      // whisper-node has no flag for the language, so it is appended
+      const command = `${createCppCommand({
+        filePath: wavPath,
+        model: WhisperNodeEngine.getModelName(),
+        options: { "word-timestamps": true },
+      })} -l ${language}`;
+
+      const stdout = await new Promise((resolve, reject) => {
+        exec(
+          command,
+          { cwd: whisperDir, maxBuffer: 64 * 1024 * 1024 },
+          (err, out, stderr) =>
+            err ? reject(new Error(stderr || err.message)) : resolve(out)
+        );
+      });
+
+      const lines = stdout.includes("[") ? parseTranscript(stdout) : [];
+      const words = lines
+        .map((line) => ({
+          start: SubtitleUtils.parseTimestamp(line.tsB),
+          end: SubtitleUtils.parseTimestamp(line.tsE),
+          text: (line.speech || "").trim(),
+        }))
+        .filter(
+          (word) => word.text && word.start !== null && word.end !== null
+        );
+
+      return { language, words };
+    } finally {
+      await fsp.rm(tmpDir, { recursive: true, force: true }).catch(() => {});
+    }
+  }
+}
+
+/**
+ * Offline stand-in for tests and machines without whisper.cpp.
+ * Spreads a fixed text evenly over the audio so timings are deterministic.
+ */
+class StubTranscriptionEngine extends TranscriptionEngine {
+  constructor() {
+    super("stub");
+  }
+
+  async transcribe(audioPath, options = {}) {
+    const duration =
+      options.audioDuration ||
+      (await AudioUtils.getAudioDuration(audioPath).catch(() => 0));
+
+    const text =
+      options.stubText ||
+      process.env.TRANSCRIPTION_STUB_TEXT ||
+      "Transcription is not available on this machine.";
+    const tokens = text.split(/\s+/).filter(Boolean);
+    const wordDuration = tokens.length > 0 ? duration / tokens.length : 0;
+
+    const words = tokens.map((token, index) => ({
+      start: Number((index * wordDuration).toFixed(3)),
+      end: Number(((index + 1) * wordDuration).toFixed(3)),
+      text: token,
+    }));
+
+    return { language: options.language || "en", words };
+  }
+}
+
+const engines = new Map([
+  ["whisper", () => new WhisperNodeEngine()],
+  ["stub", () => new StubTranscriptionEngine()],
+]);
+
+class TranscriptionUtils {
+  static registerEngine(name, factory) {
+    engines.set(name, factory);
+  }
+
+  static getAvailableEngines() {
+    return Array.from(engines.keys());
+  }
+
+  static getDefaultEngineName() {
+    return process.env.TRANSCRIPTION_ENGINE || TRANSCRIPTION_DEFAULTS.engine;
+  }
+
+  static getEngine(name = TranscriptionUtils.getDefaultEngineName()) {
+    const factory = engines.get(name);
+    if (!factory) {
+      throw new Error(`Unknown transcription engine: ${name}`);
+    }
+    return factory();
+  }
+
+  // Group word timings into caption-sized segments
+  static groupWordsIntoSegments(words, options = {}) {
+    const { maxSegmentChars, maxSegmentDuration, maxWordGap } = {
+      ...TRANSCRIPTION_DEFAULTS,
+      ...options,
+    };
+
+    const segments = [];
+    let current = null;
+
+    for (const word of words) {
+      const candidateText = current ? `${current.text} ${word.text}` : "";
+      const startsNewSegment =
+        !current ||
+        word.start - current.end > maxWordGap ||
+        word.end - current.start > maxSegmentDuration ||
+        candidateText.length > maxSegmentChars ||
+        /[.!?]$/.test(current.text);
+
+      if (startsNewSegment) {
+        current = {
+          start: word.start,
+          end: word.end,
+          text: word.text,
+          words: [word],
+        };
+        segments.push(current);
+      } else {
+        current.end = word.end;
+        current.text = candidateText;
+        current.words.push(word);
+      }
+    }
+
+    return segments;
+  }
+
+  static async transcribe(audioPath, options = {}) {
+    const engine = TranscriptionUtils.getEngine(options.engine);
+
+    console.log(`📝 Transcribing ${audioPath} with '${engine.name}' engine...`);
+    const { language, words } = await engine.transcribe(audioPath, options);
+
+    if (!words || words.length === 0) {
+      throw new Error(
+        `Transcription engine '${engine.name}' returned no words`
+      );
+    }
+
+    const segments = TranscriptionUtils.groupWordsIntoSegments(words, options);
+    console.log(
+      `✅ Transcription completed: ${segments.length} segments, ${words.length} words`
+    );
+
+    return { engine: engine.name, language, segments, wordCount: words.length };
+  }
+}
+
+TranscriptionUtils.TranscriptionEngine = TranscriptionEngine;
+
+module.exports = TranscriptionUtils;
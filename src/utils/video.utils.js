@@ -1,16 +1,25 @@
 const ffmpeg = require("fluent-ffmpeg");
 const path = require("path");
 const DirectoryUtils = require("./directory.utils");
+const FramingUtils = require("./framing.utils");
 const {
   SUPPORTED_IMAGE_FORMATS,
   SUPPORTED_AUDIO_FORMATS,
+  OUTPUT_PROFILES,
+  OUTPUT_DIMENSION_LIMITS,
+  OUTPUT_FORMATS,
+  FIT_MODES,
+  FIT_DEFAULTS,
+  GIF_DEFAULTS,
 } = require("../constants/constants");
 
 class VideoUtils {
-  static getVideoConfig() {
+  // `output` is a resolved output profile; it overrides the env frame size
+  static getVideoConfig(output = null) {
     return {
-      width: parseInt(process.env.VIDEO_WIDTH || "1920", 10),
-      height: parseInt(process.env.VIDEO_HEIGHT || "1080", 10),
+      width: output?.width || parseInt(process.env.VIDEO_WIDTH || "1920", 10),
+      height:
+        output?.height || parseInt(process.env.VIDEO_HEIGHT || "1080", 10),
       fps: parseInt(process.env.VIDEO_FPS || "30", 10),
       videoBitrate: process.env.VIDEO_BITRATE || "4000k",
       audioBitrate: process.env.AUDIO_BITRATE || "128k",
@@ -23,6 +32,274 @@ class VideoUtils {
     };
   }
 
+  /**
+   * Resolve `output.profile` into a frame size. Accepts a key of
+   * OUTPUT_PROFILES, "WxH", or "custom" with `width`/`height`.
+   * Dimensions must be even for yuv420p encoding.
+   */
+  static resolveOutputProfile(output = {}) {
+    const errors = [];
+    const profile = output.profile || "16:9";
+    let width;
+    let height;
+
+    const customMatch = /^(\d+)x(\d+)$/.exec(profile);
+
+    if (OUTPUT_PROFILES[profile]) {
+      ({ width, height } = OUTPUT_PROFILES[profile]);
+    } else if (customMatch) {
+      width = parseInt(customMatch[1], 10);
+      height = parseInt(customMatch[2], 10);
+    } else if (profile === "custom") {
+      width = parseInt(output.width, 10);
+      height = parseInt(output.height, 10);
+    } else {
+      errors.push(
+        `Invalid output profile: ${profile}. Use one of ${Object.keys(
+          OUTPUT_PROFILES
+        ).join(", ")}, custom or WxH`
+      );
+    }
+
+    if (errors.length === 0) {
+      const { min, max } = OUTPUT_DIMENSION_LIMITS;
+      [
+        ["width", width],
+        ["height", height],
+      ].forEach(([name, value]) => {
+        if (!Number.isInteger(value) || value < min || value > max) {
+          errors.push(`Output ${name} must be between ${min} and ${max}`);
+        } else if (value % 2 !== 0) {
+          errors.push(`Output ${name} must be an even number`);
+        }
+      });
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors,
+      output: { profile, width, height },
+    };
+  }
+
+  static resolveOutputFormat(output = {}) {
+    const format = output.format || "mp4";
+    const errors = [];
+
+    if (!Object.prototype.hasOwnProperty.call(OUTPUT_FORMATS, format)) {
+      errors.push(
+        `Invalid output format: ${format}. Use one of ${Object.keys(
+          OUTPUT_FORMATS
+        ).join(", ")}`
+      );
+    }
+
+    return { isValid: errors.length === 0, errors, format };
+  }
+
+  static getOutputFormat(format = "mp4") {
+    return Object.prototype.hasOwnProperty.call(OUTPUT_FORMATS, format)
+      ? OUTPUT_FORMATS[format]
+      : OUTPUT_FORMATS.mp4;
+  }
+
+  static getContentType(filename) {
+    const extension = path.extname(filename).replace(".", "").toLowerCase();
+    const format = Object.values(OUTPUT_FORMATS).find(
+      (candidate) => candidate.extension === extension
+    );
+    return format ? format.contentType : "application/octet-stream";
+  }
+
+  // Reject options the chosen container cannot carry
+  static validateOutputCombination(videoData, withEffects = false) {
+    const format = videoData.output?.format || "mp4";
+    const errors = [];
+
+    if (format === "mp3") {
+      if (withEffects) {
+        errors.push("mp3 output is audio only; use /generate instead");
+      }
+      if (videoData.subtitles) {
+        errors.push("mp3 output has no picture to carry subtitles");
+      }
+      if (videoData.watermark) {
+        errors.push("mp3 output has no picture to carry a watermark");
+      }
+    }
+
+    if (videoData.output?.hls && (format === "gif" || format === "mp3")) {
+      errors.push(`HLS packaging needs a video output, not ${format}`);
+    }
+
+    if (format === "gif") {
+      if (videoData.music) {
+        errors.push("gif output has no audio track for music");
+      }
+      if (videoData.subtitles?.mode === "soft") {
+        errors.push("gif output cannot carry soft subtitles; use burn");
+      }
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors,
+    };
+  }
+
+  // Codec, rate and container options for an output format
+  static getEncodingOptions(format, { preset, crf, fps }) {
+    const optionsByFormat = {
+      mp4: [
+        "-c:v",
+        "libx264",
+        "-preset",
+        preset,
+        "-crf",
+        String(crf),
+        "-r",
+        String(fps),
+        "-c:a",
+        "aac",
+        "-movflags",
+        "+faststart",
+      ],
+      webm: [
+        "-c:v",
+        "libvpx-vp9",
+        "-crf",
+        "32",
+        "-b:v",
+        "0",
+        "-row-mt",
+        "1",
+        "-r",
+        String(fps),
+        "-c:a",
+        "libopus",
+        "-b:a",
+        "128k",
+      ],
+      gif: ["-r", String(GIF_DEFAULTS.fps), "-loop", "0"],
+      mp3: ["-vn", "-c:a", "libmp3lame", "-b:a", "192k"],
+    };
+
+    return optionsByFormat[format] || optionsByFormat.mp4;
+  }
+
+  /**
+   * Resolve the request-wide `fit` mode, the letterbox `background` and
+   * optional per-image modes (array aligned with the images, or a map of
+   * image index to mode) into `{ mode, background, perImage }`.
+   */
+  static resolveFitOptions(options = {}, imageCount = 0) {
+    const errors = [];
+    const mode = options.fit || FIT_DEFAULTS.fit;
+    const background = options.background || FIT_DEFAULTS.background;
+    const perImage = Array(imageCount).fill(null);
+
+    if (!FIT_MODES.includes(mode)) {
+      errors.push(`Invalid fit: ${mode}. Use one of ${FIT_MODES.join(", ")}`);
+    }
+
+    if (!/^#?[0-9a-f]{6}$/i.test(background)) {
+      errors.push("fitBackground must be a hex color like #000000");
+    }
+
+    if (options.perImage !== undefined && options.perImage !== null) {
+      if (typeof options.perImage !== "object") {
+        errors.push(
+          "imageFit must be an array or an object keyed by image index"
+        );
+      } else {
+        Object.entries(options.perImage).forEach(([key, value]) => {
+          const index = Number(key);
+          if (value === null || value === undefined || value === "") return;
+
+          if (!Number.isInteger(index) || index < 0 || index >= imageCount) {
+            errors.push(
+              `imageFit[${key}] does not match an image (0-${imageCount - 1})`
+            );
+          } else if (!FIT_MODES.includes(value)) {
+            errors.push(
+              `imageFit[${key}]: Invalid fit: ${value}. Use one of ${FIT_MODES.join(
+                ", "
+              )}`
+            );
+          } else {
+            perImage[index] = value;
+          }
+        });
+      }
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors,
+      fit: {
+        mode,
+        background: background.startsWith("#") ? background : `#${background}`,
+        perImage,
+      },
+    };
+  }
+
+  static getImageFit(fit, index) {
+    return fit?.perImage?.[index] || fit?.mode || FIT_DEFAULTS.fit;
+  }
+
+  /**
+   * Scale an image into a width x height frame with square pixels.
+   * `labelPrefix` keeps the intermediate labels of blur-fill unique when
+   * several images are fitted in one graph; `focus` (normalized x/y) moves
+   * the cover crop toward the subject instead of the center.
+   */
+  static generateFitFilter(
+    inputLabel,
+    mode,
+    width,
+    height,
+    outputLabel,
+    { background = FIT_DEFAULTS.background, labelPrefix = "fit", focus } = {}
+  ) {
+    const cropPosition = focus
+      ? `:x='min(max(0,iw*${focus.x}-ow/2),iw-ow)':y='min(max(0,ih*${focus.y}-oh/2),ih-oh)'`
+      : "";
+    const cover = `scale=${width}:${height}:force_original_aspect_ratio=increase,crop=${width}:${height}${cropPosition}`;
+    const inside = `scale=${width}:${height}:force_original_aspect_ratio=decrease`;
+
+    if (mode === "contain") {
+      return `${inputLabel}${inside},pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2:color=${background},setsar=1${outputLabel}`;
+    }
+
+    if (mode === "blur-fill") {
+      const label = (name) => `[${labelPrefix}${name}]`;
+      return (
+        `${inputLabel}split=2${label("bgsrc")}${label("fgsrc")};` +
+        `${label("bgsrc")}${cover},boxblur=${FIT_DEFAULTS.blurRadius}:2${label(
+          "bg"
+        )};` +
+        `${label("fgsrc")}${inside}${label("fg")};` +
+        `${label("bg")}${label(
+          "fg"
+        )}overlay=(W-w)/2:(H-h)/2,setsar=1${outputLabel}`
+      );
+    }
+
+    return `${inputLabel}${cover},setsar=1${outputLabel}`;
+  }
+
+  // Palette-based GIF conversion: one palette for the whole clip keeps
+  // colors stable and avoids dithering noise
+  static generateGifFilter(inputLabel, width, outputLabel) {
+    const gifWidth = Math.min(width, GIF_DEFAULTS.maxWidth);
+    return (
+      `${inputLabel}fps=${GIF_DEFAULTS.fps},scale=${gifWidth}:-2:flags=lanczos,split[gifframes][gifpalettesrc];` +
+      `[gifpalettesrc]palettegen=stats_mode=diff[gifpalette];` +
+      `[gifframes][gifpalette]paletteuse=dither=bayer:bayer_scale=5${outputLabel}`
+    );
+  }
+
   static createSafeVideoFilename(baseName = "video", extension = "mp4") {
     const timestamp = Date.now();
     const randomSuffix = Math.random().toString(36).substring(2, 8);
@@ -92,9 +369,17 @@ class VideoUtils {
     });
   }
 
-  static createVideoCommand(imagePaths, audioPath, outputPath, audioDuration) {
+  static createVideoCommand(
+    imagePaths,
+    audioPath,
+    outputPath,
+    audioDuration,
+    options = {}
+  ) {
     const config = VideoUtils.getVideoConfig();
+    const { fit, focus = [], imageSizes = [] } = options;
     const imageDuration = audioDuration / imagePaths.length;
+    const totalFrames = Math.round(imageDuration * config.fps);
 
     const command = ffmpeg();
 
@@ -107,14 +392,37 @@ class VideoUtils {
     const videoFilters = [];
 
     imagePaths.forEach((_, index) => {
+      const fitMode = VideoUtils.getImageFit(fit, index);
+      const zoompan = FramingUtils.getZoompanExpressions(
+        FramingUtils.getFraming(
+          imageSizes[index],
+          config.width,
+          config.height,
+          fitMode,
+          focus[index]
+        ),
+        "min(zoom+0.001,1.3)",
+        totalFrames
+      );
+
+      videoFilters.push(
+        VideoUtils.generateFitFilter(
+          `[${index}:v]`,
+          fitMode,
+          config.width,
+          config.height,
+          `[fit${index}]`,
+          {
+            background: fit?.background,
+            labelPrefix: `fit${index}`,
+            focus: focus[index],
+          }
+        )
+      );
       videoFilters.push(
-        `[${index}:v]scale=${config.width}:${config.height}:force_original_aspect_ratio=increase,` +
-          `crop=${config.width}:${config.height},` +
-          `setpts=PTS-STARTPTS,` +
-          `zoompan=z='min(zoom+0.001,1.3)':d=${Math.round(
-            imageDuration * config.fps
-          )}:` +
-          `x='iw/2-(iw/zoom/2)':y='ih/2-(ih/zoom/2)':s=${config.width}x${config.height}:fps=${config.fps}[v${index}]`
+        `[fit${index}]setpts=PTS-STARTPTS,` +
+          `zoompan=z='${zoompan.z}':d=${totalFrames}:` +
+          `x='${zoompan.x}':y='${zoompan.y}':s=${config.width}x${config.height}:fps=${config.fps}[v${index}]`
       );
     });
 
@@ -186,9 +494,10 @@ class VideoUtils {
   static createProgressCallback(onProgress, totalDuration) {
     return (progress) => {
       if (onProgress && typeof onProgress === "function") {
+        const timemarkSeconds = VideoUtils.parseTimemark(progress.timemark);
         const percentage =
           totalDuration > 0
-            ? Math.round((progress.timemark / totalDuration) * 100)
+            ? Math.min(Math.round((timemarkSeconds / totalDuration) * 100), 100)
             : 0;
 
         onProgress({
@@ -1,4 +1,11 @@
 const ffmpeg = require("fluent-ffmpeg");
+const SubtitleUtils = require("./subtitle.utils");
+const AudioUtils = require("./audio.utils");
+const VideoUtils = require("./video.utils");
+const FramingUtils = require("./framing.utils");
+const TextOverlayUtils = require("./textOverlay.utils");
+const WatermarkUtils = require("./watermark.utils");
+const PresetUtils = require("./preset.utils");
 const {
   VIDEO_TRANSITIONS,
   VIDEO_MOTION_EFFECTS,
@@ -6,6 +13,8 @@ const {
   VIDEO_OVERLAY_EFFECTS,
   VIDEO_EFFECT_PRESETS,
   VIDEO_CONFIG_DEFAULTS,
+  FIT_MODES,
+  CUSTOM_PRESET_LIMITS,
 } = require("../constants/constants");
 
 class VideoEffectsUtils {
@@ -15,176 +24,273 @@ class VideoEffectsUtils {
       motionEffects: VIDEO_MOTION_EFFECTS,
       colorEffects: VIDEO_COLOR_EFFECTS,
       overlayEffects: VIDEO_OVERLAY_EFFECTS,
+      fitModes: FIT_MODES,
     };
   }
 
+  // Built-in presets followed by the team's custom presets
   static getEffectPresets() {
-    return VIDEO_EFFECT_PRESETS;
+    return { ...VIDEO_EFFECT_PRESETS, ...PresetUtils.getCustomPresets() };
   }
 
-  // Generate transition effects between images
-  static generateTransitionFilter(
-    fromIndex,
-    toIndex,
-    transitionType,
-    duration = 1.0
-  ) {
+  // xfade transition name for each entry in VIDEO_TRANSITIONS; "none" is a
+  // hard cut and has no xfade equivalent
+  static getXfadeTransition(transitionType) {
     const effectMap = {
-      none: `[v${fromIndex}]copy[trans${toIndex}]`, // No transition - just copy the video
-
-      fade: `[v${fromIndex}][v${toIndex}]xfade=transition=fade:duration=${duration}:offset=0[trans${toIndex}]`,
-
-      crossfade: `[v${fromIndex}][v${toIndex}]xfade=transition=fadeblack:duration=${duration}:offset=0[trans${toIndex}]`,
-
-      wipeleft: `[v${fromIndex}][v${toIndex}]xfade=transition=wipeleft:duration=${duration}:offset=0[trans${toIndex}]`,
-
-      wiperight: `[v${fromIndex}][v${toIndex}]xfade=transition=wiperight:duration=${duration}:offset=0[trans${toIndex}]`,
-
-      wipeup: `[v${fromIndex}][v${toIndex}]xfade=transition=wipeup:duration=${duration}:offset=0[trans${toIndex}]`,
-
-      wipedown: `[v${fromIndex}][v${toIndex}]xfade=transition=wipedown:duration=${duration}:offset=0[trans${toIndex}]`,
-
-      slideup: `[v${fromIndex}][v${toIndex}]xfade=transition=slideup:duration=${duration}:offset=0[trans${toIndex}]`,
+      fade: "fade",
+      crossfade: "fadeblack",
+      wipeleft: "wipeleft",
+      wiperight: "wiperight",
+      wipeup: "wipeup",
+      wipedown: "wipedown",
+      slideup: "slideup",
+      slidedown: "slidedown",
+      slideleft: "slideleft",
+      slideright: "slideright",
+      circlecrop: "circlecrop",
+      rectcrop: "rectcrop",
+      dissolve: "dissolve",
+    };
 
-      slidedown: `[v${fromIndex}][v${toIndex}]xfade=transition=slidedown:duration=${duration}:offset=0[trans${toIndex}]`,
+    return effectMap[transitionType] || null;
+  }
 
-      slideleft: `[v${fromIndex}][v${toIndex}]xfade=transition=slideleft:duration=${duration}:offset=0[trans${toIndex}]`,
+  // Generate the transition between two streams; `offset` is where the
+  // transition starts on the joined output timeline
+  static generateTransitionFilter(
+    fromLabel,
+    toLabel,
+    transitionType,
+    duration,
+    offset,
+    outputLabel
+  ) {
+    const transition = VideoEffectsUtils.getXfadeTransition(transitionType);
 
-      slideright: `[v${fromIndex}][v${toIndex}]xfade=transition=slideright:duration=${duration}:offset=0[trans${toIndex}]`,
+    if (!transition) {
+      return `${fromLabel}${toLabel}concat=n=2:v=1:a=0${outputLabel}`;
+    }
 
-      circlecrop: `[v${fromIndex}][v${toIndex}]xfade=transition=circlecrop:duration=${duration}:offset=0[trans${toIndex}]`,
+    return `${fromLabel}${toLabel}xfade=transition=${transition}:duration=${duration}:offset=${offset}${outputLabel}`;
+  }
 
-      dissolve: `[v${fromIndex}][v${toIndex}]xfade=transition=dissolve:duration=${duration}:offset=0[trans${toIndex}]`,
-    };
+  // A transition may not take more than half of the shortest image
+  static resolveTransitionDuration(requestedDuration, imageDurations) {
+    const requested = parseFloat(
+      requestedDuration ?? VIDEO_CONFIG_DEFAULTS.transitionDuration
+    );
+    const maxDuration = Math.min(...imageDurations) / 2;
+
+    if (requested > maxDuration) {
+      console.log(
+        `⚠️ Transition duration ${requested}s shortened to ${maxDuration.toFixed(
+          3
+        )}s to fit the shortest image`
+      );
+    }
 
-    return effectMap[transitionType] || effectMap.none;
+    return Math.round(Math.min(requested, maxDuration) * 1000) / 1000;
   }
 
-  // Generate motion effects for individual images
+  // Generate motion effects for individual images. Every effect goes
+  // through zoompan so a still image becomes `duration` seconds of video;
+  // pans run inside a zoomed window so there is room to move. The image is
+  // first fitted into the frame with `fit.mode` (cover by default); a
+  // `fit.framing` focal point steers the zooms and a custom pan replaces
+  // the motion entirely.
   static generateMotionFilter(
     imageIndex,
     motionType,
     width,
     height,
     duration,
-    fps = 30
+    fps = 30,
+    outputLabel = `[v${imageIndex}]`,
+    fit = {}
   ) {
-    const totalFrames = duration * fps;
+    const totalFrames = Math.max(1, Math.round(duration * fps));
+    const rampFrames = Math.max(
+      1,
+      Math.round(Math.min(3.0, duration * 0.5) * fps)
+    );
+    const settleFrames = Math.max(
+      1,
+      Math.round(Math.min(8.0, duration * 0.95) * fps)
+    );
+    const input = `${VideoUtils.generateFitFilter(
+      `[${imageIndex}:v]`,
+      fit.mode,
+      width,
+      height,
+      `[fit${imageIndex}]`,
+      {
+        background: fit.background,
+        labelPrefix: `fit${imageIndex}`,
+        focus: fit.focus,
+      }
+    )};[fit${imageIndex}]setpts=PTS-STARTPTS,`;
+    const zoompan = (zoom, x, y) =>
+      `zoompan=z='${zoom}':x='${x}':y='${y}':d=${totalFrames}:s=${width}x${height}:fps=${fps}`;
+    const { x: centerX, y: centerY } = FramingUtils.getZoomPosition(
+      fit.framing
+    );
+    const progress = `on/${totalFrames}`;
+
+    if (fit.framing?.pan) {
+      const pan = FramingUtils.getPanExpressions(fit.framing.pan, totalFrames);
+      return `${input}${zoompan(pan.z, pan.x, pan.y)}${outputLabel}`;
+    }
 
     const effectMap = {
-      kenburns: `[${imageIndex}:v]scale=${width * 1.5}:${
-        height * 1.5
-      }:force_original_aspect_ratio=increase,crop=${width}:${height},zoompan=z='min(1.0+0.0015*on,1.2)':x='iw/2-(iw/zoom/2)':y='ih/2-(ih/zoom/2)':d=${totalFrames}:s=${width}x${height}[v${imageIndex}]`,
-
-      zoom_in: `[${imageIndex}:v]scale=${width * 1.4}:${
-        height * 1.4
-      }:force_original_aspect_ratio=increase,crop=${width}:${height},zoompan=z='if(lte(on,${Math.round(
-        Math.min(3.0, duration * 0.5) * fps
-      )}),1+(0.4*on/${Math.round(
-        Math.min(3.0, duration * 0.5) * fps
-      )}),1.4)':x='(iw-ow)/2':y='(ih-oh)/2':d=${totalFrames}:s=${width}x${height}[v${imageIndex}]`,
-
-      zoom_out: `[${imageIndex}:v]scale=${width * 1.4}:${
-        height * 1.4
-      }:force_original_aspect_ratio=increase,crop=${width}:${height},zoompan=z='if(lte(on,${Math.round(
-        Math.min(3.0, duration * 0.5) * fps
-      )}),1.4-(0.4*on/${Math.round(
-        Math.min(3.0, duration * 0.5) * fps
-      )}),1.0)':x='(iw-ow)/2':y='(ih-oh)/2':d=${totalFrames}:s=${width}x${height}[v${imageIndex}]`,
-
-      pan_left: `[${imageIndex}:v]scale=${width * 1.3}:${
-        height * 1.3
-      }:force_original_aspect_ratio=increase,crop=${width}:${height},zoompan=z=1.0:x='if(gte(on,1),on*2,0)':y='ih/2-(ih/zoom/2)':d=${totalFrames}:s=${width}x${height}[v${imageIndex}]`,
-
-      pan_right: `[${imageIndex}:v]scale=${width * 1.3}:${
-        height * 1.3
-      }:force_original_aspect_ratio=increase,crop=${width}:${height},zoompan=z=1.0:x='iw-on*2':y='ih/2-(ih/zoom/2)':d=${totalFrames}:s=${width}x${height}[v${imageIndex}]`,
-
-      pan_up: `[${imageIndex}:v]scale=${width * 1.3}:${
-        height * 1.3
-      }:force_original_aspect_ratio=increase,crop=${width}:${height},zoompan=z=1.0:x='iw/2-(iw/zoom/2)':y='if(gte(on,1),on*2,0)':d=${totalFrames}:s=${width}x${height}[v${imageIndex}]`,
-
-      pan_down: `[${imageIndex}:v]scale=${width * 1.3}:${
-        height * 1.3
-      }:force_original_aspect_ratio=increase,crop=${width}:${height},zoompan=z=1.0:x='iw/2-(iw/zoom/2)':y='ih-on*2':d=${totalFrames}:s=${width}x${height}[v${imageIndex}]`,
-
-      rotate_clockwise: `[${imageIndex}:v]scale=${width}:${height}:force_original_aspect_ratio=increase,crop=${width}:${height},rotate=a='PI*2*t/${duration}':c=black:ow=${width}:oh=${height}[v${imageIndex}]`,
-
-      rotate_counter: `[${imageIndex}:v]scale=${width}:${height}:force_original_aspect_ratio=increase,crop=${width}:${height},rotate=a='-PI*2*t/${duration}':c=black:ow=${width}:oh=${height}[v${imageIndex}]`,
-
-      shake: `[${imageIndex}:v]scale=${width * 1.1}:${
-        height * 1.1
-      }:force_original_aspect_ratio=increase,crop=${width}:${height},zoompan=z=1.0:x='iw/2-(iw/zoom/2)+sin(t*10)*5':y='ih/2-(ih/zoom/2)+cos(t*8)*3':d=${totalFrames}:s=${width}x${height}[v${imageIndex}]`,
-
-      static: `[${imageIndex}:v]scale=${width}:${height}:force_original_aspect_ratio=increase,crop=${width}:${height}[v${imageIndex}]`,
+      kenburns: zoompan(
+        `1+0.2*${progress}`,
+        `(iw-iw/zoom)*${progress}`,
+        centerY
+      ),
+
+      zoom_in: zoompan(`1+0.4*min(on/${rampFrames},1)`, centerX, centerY),
+
+      zoom_out: zoompan(`1.4-0.4*min(on/${rampFrames},1)`, centerX, centerY),
+
+      pan_left: zoompan("1.3", `(iw-iw/zoom)*(1-${progress})`, centerY),
+
+      pan_right: zoompan("1.3", `(iw-iw/zoom)*${progress}`, centerY),
+
+      pan_up: zoompan("1.3", centerX, `(ih-ih/zoom)*(1-${progress})`),
+
+      pan_down: zoompan("1.3", centerX, `(ih-ih/zoom)*${progress}`),
+
+      rotate_clockwise:
+        zoompan("1", "0", "0") +
+        `,rotate=a='PI*2*t/${duration}':c=black:ow=${width}:oh=${height}`,
+
+      rotate_counter:
+        zoompan("1", "0", "0") +
+        `,rotate=a='-PI*2*t/${duration}':c=black:ow=${width}:oh=${height}`,
+
+      shake: zoompan(
+        "1.1",
+        `(iw-iw/zoom)/2+sin(on/2)*8`,
+        `(ih-ih/zoom)/2+cos(on/3)*6`
+      ),
+
+      static: zoompan("1", "0", "0"),
+
+      // Gentle push-in used when no motion is requested
+      default: zoompan(
+        `if(lte(on,${settleFrames}),1+(0.08*pow(on/${settleFrames},0.5)),1.08)`,
+        centerX,
+        centerY
+      ),
     };
 
-    return effectMap[motionType] || effectMap.static;
+    return `${input}${
+      effectMap[motionType] || effectMap.default
+    }${outputLabel}`;
   }
 
   // Generate color grading effects
-  static generateColorFilter(inputLabel, colorEffect) {
+  static generateColorFilter(
+    inputLabel,
+    colorEffect,
+    outputLabel = "[colored]"
+  ) {
     const effectMap = {
-      vintage: `${inputLabel}curves=vintage,colorbalance=rs=0.1:gs=-0.1:bs=-0.1:rm=0.05:gm=0:bm=-0.05[colored]`,
+      vintage: `${inputLabel}curves=vintage,colorbalance=rs=0.1:gs=-0.1:bs=-0.1:rm=0.05:gm=0:bm=-0.05${outputLabel}`,
 
-      sepia: `${inputLabel}colorchannelmixer=0.393:0.769:0.189:0:0.349:0.686:0.168:0:0.272:0.534:0.131[colored]`,
+      sepia: `${inputLabel}colorchannelmixer=0.393:0.769:0.189:0:0.349:0.686:0.168:0:0.272:0.534:0.131${outputLabel}`,
 
-      black_white: `${inputLabel}hue=s=0[colored]`,
+      black_white: `${inputLabel}hue=s=0${outputLabel}`,
 
-      high_contrast: `${inputLabel}curves=all='0/0 0.4/0.3 0.6/0.7 1/1'[colored]`,
+      high_contrast: `${inputLabel}curves=all='0/0 0.4/0.3 0.6/0.7 1/1'${outputLabel}`,
 
-      low_contrast: `${inputLabel}curves=all='0/0.1 0.4/0.45 0.6/0.55 1/0.9'[colored]`,
+      low_contrast: `${inputLabel}curves=all='0/0.1 0.4/0.45 0.6/0.55 1/0.9'${outputLabel}`,
 
-      warm: `${inputLabel}colortemperature=temperature=3000[colored]`,
+      warm: `${inputLabel}colorbalance=rs=0.1:gs=0.02:bs=-0.1:rm=0.08:bm=-0.08${outputLabel}`,
 
-      cool: `${inputLabel}colortemperature=temperature=7000[colored]`,
+      cool: `${inputLabel}colorbalance=rs=-0.1:bs=0.1:rm=-0.05:bm=0.08${outputLabel}`,
 
-      vibrant: `${inputLabel}vibrance=intensity=0.5,saturation=1.3[colored]`,
+      vibrant: `${inputLabel}vibrance=intensity=0.5,eq=saturation=1.3${outputLabel}`,
 
-      desaturated: `${inputLabel}hue=s=0.3[colored]`,
+      desaturated: `${inputLabel}hue=s=0.3${outputLabel}`,
 
-      film_grain: `${inputLabel}noise=alls=20:allf=t+u,unsharp=5:5:0.8:3:3:0.4[colored]`,
+      film_grain: `${inputLabel}noise=alls=20:allf=t+u,unsharp=5:5:0.8:3:3:0.4${outputLabel}`,
 
-      vignette: `${inputLabel}vignette=PI/4[colored]`,
+      vignette: `${inputLabel}vignette=PI/4${outputLabel}`,
     };
 
-    return effectMap[colorEffect] || `${inputLabel}copy[colored]`;
+    return effectMap[colorEffect] || `${inputLabel}copy${outputLabel}`;
   }
 
-  // Generate overlay effects
-  static generateOverlayFilter(inputLabel, overlayEffect, width, height) {
+  // Generate overlay effects; generated layers last `duration` seconds so
+  // they cover the whole video
+  static generateOverlayFilter(
+    inputLabel,
+    overlayEffect,
+    width,
+    height,
+    outputLabel = "[overlaid]",
+    duration = 1
+  ) {
     const effectMap = {
-      particles: `${inputLabel}drawbox=x=0:y=0:w=${width}:h=${height}:color=white@0.1:t=fill,noise=alls=10:allf=t[colored]`,
+      particles: `${inputLabel}drawbox=x=0:y=0:w=${width}:h=${height}:color=white@0.1:t=fill,noise=alls=10:allf=t${outputLabel}`,
 
-      light_leaks: `color=orange:duration=1:size=${width}x${height}[light];[light]geq=lum='if(gt(random(1),0.98),255,0)':cb=128:cr=128[leak];${inputLabel}[leak]blend=all_mode=screen:all_opacity=0.3[colored]`,
+      light_leaks: `color=orange:duration=${duration}:size=${width}x${height}[light];[light]geq=lum='if(gt(random(1),0.98),255,0)':cb=128:cr=128[leak];${inputLabel}[leak]blend=all_mode=screen:all_opacity=0.3${outputLabel}`,
 
-      dust: `${inputLabel}noise=alls=5:allf=t,unsharp=5:5:0.5:3:3:0.2[colored]`,
+      dust: `${inputLabel}noise=alls=5:allf=t,unsharp=5:5:0.5:3:3:0.2${outputLabel}`,
 
-      scratches: `${inputLabel}drawbox=x=random(1)*${width}:y=0:w=1:h=${height}:color=white@0.5:t=fill,drawbox=x=random(1)*${width}:y=0:w=1:h=${height}:color=black@0.3:t=fill[colored]`,
+      scratches: `${inputLabel}drawbox=x=random(1)*${width}:y=0:w=1:h=${height}:color=white@0.5:t=fill,drawbox=x=random(1)*${width}:y=0:w=1:h=${height}:color=black@0.3:t=fill${outputLabel}`,
 
-      bokeh: `${inputLabel}gblur=sigma=1:steps=1[colored]`,
+      bokeh: `${inputLabel}gblur=sigma=1:steps=1${outputLabel}`,
 
-      lens_flare: `color=white:duration=1:size=${width}x${height}[flare];[flare]geq=lum='if(hypot(X-${width}/2,Y-${height}/2)<50,255-hypot(X-${width}/2,Y-${height}/2)*3,0)':cb=128:cr=128[lens];${inputLabel}[lens]blend=all_mode=screen:all_opacity=0.2[colored]`,
+      lens_flare: `color=white:duration=${duration}:size=${width}x${height}[flare];[flare]geq=lum='if(lt(hypot(X-${width}/2,Y-${height}/2),50),255-hypot(X-${width}/2,Y-${height}/2)*3,0)':cb=128:cr=128[lens];${inputLabel}[lens]blend=all_mode=screen:all_opacity=0.2${outputLabel}`,
 
-      rain: `${inputLabel}drawbox=x=random(1)*${width}:y=random(1)*${height}:w=1:h=5:color=white@0.7:t=fill[colored]`,
+      rain: `${inputLabel}drawbox=x=random(1)*${width}:y=random(1)*${height}:w=1:h=5:color=white@0.7:t=fill${outputLabel}`,
 
-      snow: `${inputLabel}drawbox=x=random(1)*${width}:y=random(1)*${height}:w=2:h=2:color=white@0.8:t=fill[colored]`,
+      snow: `${inputLabel}drawbox=x=random(1)*${width}:y=random(1)*${height}:w=2:h=2:color=white@0.8:t=fill${outputLabel}`,
     };
 
-    return effectMap[overlayEffect] || `${inputLabel}copy[colored]`;
+    return effectMap[overlayEffect] || `${inputLabel}copy${outputLabel}`;
   }
 
-  // Create a complete video command with effects
+  // Create a complete video command with effects.
+  // Returns { command, appliedEffects } where appliedEffects lists the
+  // motion, transition, color and overlay the filter graph renders.
   static createVideoWithEffects(
     imagePaths,
     audioPath,
     outputPath,
     audioDuration,
     effects = {},
-    transitionType = "none" // 'fade', 'slide', or 'none'
+    transitionType = "none", // any entry of VIDEO_TRANSITIONS
+    options = {}
   ) {
-    const config = VIDEO_CONFIG_DEFAULTS;
-    const imageDuration = audioDuration / imagePaths.length;
+    const {
+      subtitles,
+      music,
+      watermark,
+      output,
+      fit,
+      focus = [],
+      imageSizes = [],
+      text,
+    } = options;
+    // Title cards are extra segments around the images; the voiceover is
+    // delayed by the intro so it still lines up with the images
+    const cards = TextOverlayUtils.getCardDurations(text);
+    const hasCards = cards.intro > 0 || cards.outro > 0;
+    const totalDuration = cards.intro + audioDuration + cards.outro;
+    // Frame size comes from the output profile
+    const config = {
+      ...VIDEO_CONFIG_DEFAULTS,
+      ...(output && { width: output.width, height: output.height }),
+    };
+    const formatName = output?.format || "mp4";
+    const format = VideoUtils.getOutputFormat(formatName);
+    // Per-image durations from the timeline; equal division by default
+    const imageDurations =
+      options.imageDurations ||
+      Array(imagePaths.length).fill(audioDuration / imagePaths.length);
 
     const command = ffmpeg();
 
@@ -196,100 +302,375 @@ class VideoEffectsUtils {
     // Add audio input
     command.input(audioPath);
 
+    // Optional inputs follow the voiceover: music, soft subtitles, then the
+    // watermark
+    let nextInputIndex = imagePaths.length + 1;
+
+    const musicInputIndex = music ? nextInputIndex++ : null;
+    if (music) {
+      command.input(music.path);
+      if (music.loop) {
+        command.inputOptions([`-stream_loop`, `-1`]);
+      }
+    }
+
+    const subtitleInputIndex =
+      subtitles?.mode === "soft" ? nextInputIndex++ : null;
+    if (subtitleInputIndex !== null) {
+      command.input(subtitles.path);
+    }
+
+    const watermarkInputIndex = watermark ? nextInputIndex++ : null;
+    if (watermark) {
+      command.input(watermark.path);
+    }
+
+    // Per-image overrides fall back to the global effects; an image's
+    // transition is the one into the next image
+    const overrides = new Map(
+      (effects.perImage || []).map((entry) => [entry.index, entry])
+    );
+    const imageEffects = imagePaths.map((_, index) => ({
+      motion: overrides.get(index)?.motion || effects.motion,
+      color: overrides.get(index)?.color || effects.color,
+      fit: overrides.get(index)?.fit || VideoUtils.getImageFit(fit, index),
+      transition:
+        index < imagePaths.length - 1
+          ? overrides.get(index)?.transition || transitionType
+          : null,
+    }));
+
+    // Color is graded per image only when some image overrides it
+    const colorPerImage = (effects.perImage || []).some((entry) => entry.color);
+
+    // Stages applied to the joined stream, in order; each receives its
+    // input and output labels and the last one writes [outv]
+    const finishingStages = [];
+    if (effects.color && !colorPerImage) {
+      finishingStages.push((input, output) =>
+        VideoEffectsUtils.generateColorFilter(input, effects.color, output)
+      );
+    }
+    if (effects.overlay) {
+      finishingStages.push((input, output) =>
+        VideoEffectsUtils.generateOverlayFilter(
+          input,
+          effects.overlay,
+          config.width,
+          config.height,
+          output,
+          totalDuration
+        )
+      );
+    }
+    // Card and caption text sits above color grading and overlays
+    const textFilters = VideoEffectsUtils.generateTextFilters(
+      text,
+      imageDurations,
+      cards,
+      audioDuration,
+      config.height
+    );
+    if (textFilters.length > 0) {
+      finishingStages.push(
+        (input, output) => `${input}${textFilters.join(",")}${output}`
+      );
+    }
+    if (subtitles?.mode === "burn") {
+      finishingStages.push((input, output) =>
+        SubtitleUtils.generateBurnFilter(
+          input,
+          subtitles.path,
+          subtitles.style,
+          output
+        )
+      );
+    }
+    // The logo goes over everything else, title cards included
+    if (watermark) {
+      finishingStages.push((input, output) =>
+        WatermarkUtils.generateWatermarkFilter(
+          input,
+          watermarkInputIndex,
+          watermark.options,
+          config.width,
+          output
+        )
+      );
+    }
+    if (formatName === "gif") {
+      finishingStages.push((input, output) =>
+        VideoUtils.generateGifFilter(input, config.width, output)
+      );
+    }
+    const joinedLabel = finishingStages.length > 0 ? "[joined]" : "[outv]";
+    // With title cards the images are joined first and the cards added
+    // around them
+    const imagesLabel = hasCards ? "[images]" : joinedLabel;
+
     const videoFilters = [];
 
-    // Generate filters for each image with fade in/out for smooth transitions
+    // xfade overlaps neighbouring images, so an image followed by a
+    // transition is extended by the transition duration; each transition
+    // then starts exactly at the next image's timeline start and the joined
+    // video keeps the audio's length
+    const hasTransition = (index) =>
+      VideoEffectsUtils.getXfadeTransition(imageEffects[index].transition) !==
+      null;
+    const useTransitions = imagePaths.some((_, index) => hasTransition(index));
+    const transitionDuration = useTransitions
+      ? VideoEffectsUtils.resolveTransitionDuration(
+          effects.transitionDuration,
+          imageDurations
+        )
+      : 0;
+
+    // Generate the motion (and per-image color) filter for each image
     imagePaths.forEach((_, index) => {
-      const fadeOutStart =
-        imageDuration - (index === imagePaths.length - 1 ? 0 : 0.5); // End fade-out
-
-      let totalFrames = Math.round(imageDuration * config.fps);
-      let zoomDuration = Math.min(8.0, imageDuration * 0.95); // Zoom for max 8 seconds or 95% of duration
-      let zoomFrames = Math.round(zoomDuration * config.fps);
-      let filterChain =
-        `[${index}:v]scale=${config.width * 1.1}:${
-          config.height * 1.1
-        }:force_original_aspect_ratio=increase,` +
-        `crop=${config.width}:${config.height},` +
-        `setpts=PTS-STARTPTS,` +
-        `zoompan=z='if(lte(on,${zoomFrames}),1+(0.08*pow(on/${zoomFrames},0.5)),1.08)':d=${totalFrames}:` +
-        `x='(iw-ow)/2':y='(ih-oh)/2':s=${config.width}x${config.height}:fps=${config.fps}`;
-
-      // No individual transition effects are added here when using slide transitions
-      // Slide transitions will be handled by the xfade chain in the concatenation phase
-      // For fade transitions, only add fade effects when specifically using fade
-      if (imagePaths.length > 1 && transitionType === "fade") {
-        if (index === 0) {
-          // Fade transitions - First image: fade out at the end
-          filterChain += `,fade=t=out:st=${fadeOutStart}:d=0.5`;
-        } else if (index === imagePaths.length - 1) {
-          // Fade transitions - Last image: fade in at the start
-          filterChain += `,fade=t=in:st=0:d=0.5`;
-        } else {
-          // Fade transitions - Middle images: fade in and out
-          filterChain += `,fade=t=in:st=0:d=0.5,fade=t=out:st=${fadeOutStart}:d=0.5`;
-        }
+      const imageDuration =
+        imageDurations[index] + (hasTransition(index) ? transitionDuration : 0);
+      videoFilters.push(
+        VideoEffectsUtils.generateMotionFilter(
+          index,
+          imageEffects[index].motion,
+          config.width,
+          config.height,
+          imageDuration,
+          config.fps,
+          colorPerImage ? `[m${index}]` : `[v${index}]`,
+          {
+            mode: imageEffects[index].fit,
+            background: fit?.background,
+            focus: focus[index],
+            framing: FramingUtils.getFraming(
+              imageSizes[index],
+              config.width,
+              config.height,
+              imageEffects[index].fit,
+              focus[index]
+            ),
+          }
+        )
+      );
+
+      if (colorPerImage) {
+        videoFilters.push(
+          VideoEffectsUtils.generateColorFilter(
+            `[m${index}]`,
+            imageEffects[index].color,
+            `[v${index}]`
+          )
+        );
       }
-
-      filterChain += `[v${index}]`;
-      videoFilters.push(filterChain);
     });
 
     // Build output with proper transitions
     if (imagePaths.length === 1) {
       // Single image: just copy
-      videoFilters.push(`[v0]copy[outv]`);
-    } else if (transitionType === "slide") {
-      // Slide transitions using chained xfade filters with slideleft effect
-      // Current image slides out to left, new image slides in from right
-      const transitionDuration = 1.5; // Duration of slide transition (smoother)
-      const effectiveImageDuration = imageDuration - transitionDuration;
-
-      // Create chained xfade transitions with slideleft
+      videoFilters.push(`[v0]copy${imagesLabel}`);
+    } else if (useTransitions) {
+      // Chained pairwise joins; pairs without a transition are hard cuts
       let currentInput = "[v0]";
+      let elapsed = 0;
       for (let i = 1; i < imagePaths.length; i++) {
-        const nextInput = `[v${i}]`;
         const outputLabel =
-          i === imagePaths.length - 1 ? "[outv]" : `[slide${i}]`;
-
-        // Calculate offset: start transition at the effective end of current image
-        const offset = i * effectiveImageDuration;
-
-        // Use slideleft: current image slides out to left, new image slides in from right
-        const xfadeFilter = `${currentInput}${nextInput}xfade=transition=slideleft:duration=${transitionDuration}:offset=${offset}${outputLabel}`;
-        videoFilters.push(xfadeFilter);
+          i === imagePaths.length - 1 ? imagesLabel : `[trans${i}]`;
+
+        elapsed += imageDurations[i - 1];
+        videoFilters.push(
+          VideoEffectsUtils.generateTransitionFilter(
+            currentInput,
+            `[v${i}]`,
+            imageEffects[i - 1].transition,
+            transitionDuration,
+            Math.round(elapsed * 1000) / 1000,
+            outputLabel
+          )
+        );
         currentInput = outputLabel;
       }
     } else {
-      // No transitions (none) or fade transitions - use simple concatenation
+      // No transitions - use simple concatenation
       const concatInputs = imagePaths.map((_, index) => `[v${index}]`).join("");
-      const concatFilter = `${concatInputs}concat=n=${imagePaths.length}:v=1:a=0[outv]`;
+      const concatFilter = `${concatInputs}concat=n=${imagePaths.length}:v=1:a=0${imagesLabel}`;
       videoFilters.push(concatFilter);
     }
 
+    if (hasCards) {
+      const segments = [];
+      ["intro", "outro"].forEach((name) => {
+        if (!text[name]) return;
+        videoFilters.push(
+          ...TextOverlayUtils.generateCardFilters(text[name], name, {
+            width: config.width,
+            height: config.height,
+            fps: config.fps,
+            sourceIndex: name === "intro" ? 0 : imagePaths.length - 1,
+          })
+        );
+      });
+      if (text.intro) segments.push("[introcard]");
+      segments.push(imagesLabel);
+      if (text.outro) segments.push("[outrocard]");
+
+      videoFilters.push(
+        `${segments.join("")}concat=n=${segments.length}:v=1:a=0${joinedLabel}`
+      );
+    }
+
+    let stageInput = joinedLabel;
+    finishingStages.forEach((stage, index) => {
+      const stageOutput =
+        index === finishingStages.length - 1 ? "[outv]" : `[stage${index}]`;
+      videoFilters.push(stage(stageInput, stageOutput));
+      stageInput = stageOutput;
+    });
+
+    let voiceLabel = `[${imagePaths.length}:a]`;
+    if (hasCards) {
+      const delay = Math.round(cards.intro * 1000);
+      videoFilters.push(
+        `${voiceLabel}adelay=${delay}|${delay},apad${
+          music ? "[voice]" : "[outa]"
+        }`
+      );
+      voiceLabel = "[voice]";
+    }
+
+    if (music) {
+      videoFilters.push(
+        ...AudioUtils.generateMusicMixFilters(
+          voiceLabel,
+          `[${musicInputIndex}:a]`,
+          music,
+          totalDuration
+        )
+      );
+    }
+
     command.complexFilter(videoFilters, ["outv"]);
 
+    const subtitleOptions =
+      subtitleInputIndex !== null
+        ? SubtitleUtils.getSoftSubtitleOptions(
+            subtitleInputIndex,
+            "eng",
+            format.subtitleCodec
+          )
+        : [];
+
     command
       .outputOptions([
-        `-map`,
-        `${imagePaths.length}:a`,
-        `-c:v`,
-        config.videoCodec,
-        `-c:a`,
-        config.audioCodec,
-        `-preset`,
-        config.preset,
-        `-crf`,
-        config.crf.toString(),
-        `-r`,
-        config.fps.toString(),
-        `-movflags`,
-        `+faststart`,
-        `-shortest`,
+        ...(format.hasAudio
+          ? [`-map`, music || hasCards ? `[outa]` : `${imagePaths.length}:a`]
+          : []),
+        ...subtitleOptions,
+        ...VideoUtils.getEncodingOptions(formatName, config),
+        // -shortest would also stop at the last subtitle cue, and the
+        // padded voiceover behind title cards never ends
+        ...(subtitleOptions.length > 0 || !format.hasAudio || hasCards
+          ? [`-t`, totalDuration.toString()]
+          : [`-shortest`]),
       ])
       .output(outputPath);
 
-    return command;
+    // What the filter graph actually renders, for the mapping record;
+    // effects that differ between images list the images they apply to
+    const appliedEffects = [];
+    const addApplied = (type, name, index, extra = {}) => {
+      let entry = appliedEffects.find(
+        (applied) => applied.type === type && applied.name === name
+      );
+      if (!entry) {
+        entry = { type, name, ...extra, images: [] };
+        appliedEffects.push(entry);
+      }
+      entry.images.push(index);
+    };
+
+    imageEffects.forEach((imageEffect, index) => {
+      addApplied(
+        "motion",
+        focus[index]?.pan ? "custom_pan" : imageEffect.motion || "default",
+        index
+      );
+      addApplied("fit", imageEffect.fit, index);
+      if (hasTransition(index)) {
+        addApplied("transition", imageEffect.transition, index, {
+          duration: transitionDuration,
+        });
+      }
+      if (colorPerImage && imageEffect.color) {
+        addApplied("color", imageEffect.color, index);
+      }
+      if (text?.captions?.[index]) {
+        addApplied("caption", "text", index);
+      }
+    });
+    ["intro", "outro"].forEach((name) => {
+      if (text?.[name]) {
+        appliedEffects.push({
+          type: "title_card",
+          name,
+          duration: text[name].duration,
+          background: text[name].background,
+        });
+      }
+    });
+    if (effects.color && !colorPerImage) {
+      appliedEffects.push({ type: "color", name: effects.color });
+    }
+    if (effects.overlay) {
+      appliedEffects.push({ type: "overlay", name: effects.overlay });
+    }
+    if (watermark) {
+      appliedEffects.push({
+        type: "watermark",
+        name: watermark.options.position,
+      });
+    }
+
+    return { command, appliedEffects };
+  }
+
+  // drawtext filters for title cards and per-image captions, timed on the
+  // joined video (images start after the intro card)
+  static generateTextFilters(
+    text,
+    imageDurations,
+    cards,
+    audioDuration,
+    frameHeight
+  ) {
+    if (!text) return [];
+
+    const filters = [];
+    const addText = (entry, start, end) =>
+      filters.push(
+        TextOverlayUtils.generateDrawtextFilter(
+          entry.textFile,
+          entry.style,
+          Math.round(start * 1000) / 1000,
+          Math.round(end * 1000) / 1000,
+          frameHeight
+        )
+      );
+
+    if (text.intro) addText(text.intro, 0, cards.intro);
+
+    let cursor = cards.intro;
+    imageDurations.forEach((duration, index) => {
+      const caption = text.captions?.[index];
+      if (caption) addText(caption, cursor, cursor + duration);
+      cursor += duration;
+    });
+
+    if (text.outro) {
+      const outroStart = cards.intro + audioDuration;
+      addText(text.outro, outroStart, outroStart + cards.outro);
+    }
+
+    return filters;
   }
 
   // Validate effect options
@@ -319,9 +700,18 @@ class VideoEffectsUtils {
       errors.push(`Invalid overlay effect: ${effects.overlay}`);
     }
 
+    if (
+      effects.transitionDuration !== undefined &&
+      !(
+        parseFloat(effects.transitionDuration) > 0 &&
+        parseFloat(effects.transitionDuration) <= 5
+      )
+    ) {
+      errors.push("transitionDuration must be between 0 and 5 seconds");
+    }
+
     if (effects.preset) {
-      const presets = VideoEffectsUtils.getEffectPresets();
-      if (!presets[effects.preset]) {
+      if (!PresetUtils.exists(effects.preset)) {
         errors.push(`Invalid effect preset: ${effects.preset}`);
       }
     }
@@ -332,21 +722,181 @@ class VideoEffectsUtils {
     };
   }
 
+  // perImage may be an array aligned with the images (entries may carry
+  // `index`) or an object keyed by image index. Returns the overrides as
+  // [{ index, motion?, color?, transition?, duration? }] sorted by index.
+  static normalizePerImageEffects(perImage) {
+    if (!perImage || typeof perImage !== "object") return [];
+
+    const entries = Array.isArray(perImage)
+      ? perImage.map(
+          (entry, position) => entry && { index: position, ...entry }
+        )
+      : Object.entries(perImage).map(
+          ([key, entry]) => entry && { ...entry, index: key }
+        );
+
+    return entries
+      .filter(Boolean)
+      .map((entry) => ({
+        ...entry,
+        index: Number(entry.index),
+        ...(entry.duration !== undefined && {
+          duration: parseFloat(entry.duration),
+        }),
+      }))
+      .sort((a, b) => a.index - b.index);
+  }
+
+  // Validate normalized per-image overrides with the same rules as the
+  // global effects
+  static validatePerImageEffects(perImage, imageCount) {
+    const allowedKeys = [
+      "index",
+      "motion",
+      "color",
+      "transition",
+      "duration",
+      "fit",
+      "focus",
+      "caption",
+    ];
+    const seenIndexes = new Set();
+    const errors = [];
+
+    perImage.forEach((entry) => {
+      const label = `perImage[${entry.index}]`;
+
+      if (
+        !Number.isInteger(entry.index) ||
+        entry.index < 0 ||
+        entry.index >= imageCount
+      ) {
+        errors.push(`${label} does not match an image (0-${imageCount - 1})`);
+        return;
+      }
+
+      if (seenIndexes.has(entry.index)) {
+        errors.push(`${label} is listed more than once`);
+      }
+      seenIndexes.add(entry.index);
+
+      Object.keys(entry)
+        .filter((key) => !allowedKeys.includes(key))
+        .forEach((key) =>
+          errors.push(`${label} has unsupported option: ${key}`)
+        );
+
+      const effectValidation = VideoEffectsUtils.validateEffects({
+        motion: entry.motion,
+        color: entry.color,
+        transition: entry.transition,
+      });
+      effectValidation.errors.forEach((error) =>
+        errors.push(`${label}: ${error}`)
+      );
+
+      if (entry.fit !== undefined && !FIT_MODES.includes(entry.fit)) {
+        errors.push(
+          `${label}: Invalid fit: ${entry.fit}. Use one of ${FIT_MODES.join(
+            ", "
+          )}`
+        );
+      }
+
+      if (entry.caption !== undefined) {
+        errors.push(
+          ...TextOverlayUtils.validateCaption(entry.caption, `${label}.caption`)
+        );
+      }
+
+      if (entry.focus !== undefined) {
+        errors.push(
+          ...FramingUtils.validateFocus(entry.focus, `${label}.focus`)
+        );
+      }
+
+      if (entry.duration !== undefined && !(entry.duration > 0)) {
+        errors.push(`${label} duration must be a positive number of seconds`);
+      }
+    });
+
+    return {
+      isValid: errors.length === 0,
+      errors,
+    };
+  }
+
+  /**
+   * Validate the body of a custom preset and return it in the shape of the
+   * built-ins: { transition, motion, color, overlay, transitionDuration?,
+   * description }.
+   */
+  static validatePresetDefinition(definition) {
+    const effectKeys = ["transition", "motion", "color", "overlay"];
+    const allowedKeys = [...effectKeys, "transitionDuration", "description"];
+    const errors = [];
+
+    if (!definition || typeof definition !== "object") {
+      return { isValid: false, errors: ["Preset must be an object"] };
+    }
+
+    Object.keys(definition)
+      .filter((key) => !allowedKeys.includes(key))
+      .forEach((key) => errors.push(`Preset has unsupported option: ${key}`));
+
+    if (!effectKeys.some((key) => definition[key])) {
+      errors.push(`Preset needs at least one of ${effectKeys.join(", ")}`);
+    }
+
+    errors.push(
+      ...VideoEffectsUtils.validateEffects({
+        ...definition,
+        preset: undefined,
+      }).errors
+    );
+
+    const { description = "" } = definition;
+    if (
+      typeof description !== "string" ||
+      description.length > CUSTOM_PRESET_LIMITS.maxDescriptionLength
+    ) {
+      errors.push(
+        `Preset description must be text of at most ${CUSTOM_PRESET_LIMITS.maxDescriptionLength} characters`
+      );
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors,
+      preset: {
+        transition: definition.transition || null,
+        motion: definition.motion || null,
+        color: definition.color || null,
+        overlay: definition.overlay || null,
+        ...(definition.transitionDuration !== undefined && {
+          transitionDuration: parseFloat(definition.transitionDuration),
+        }),
+        description,
+      },
+    };
+  }
+
   // Apply preset effects
   static applyPreset(presetName) {
-    const presets = VideoEffectsUtils.getEffectPresets();
-    const preset = presets[presetName];
-
-    if (!preset) {
+    if (!PresetUtils.exists(presetName)) {
       throw new Error(`Preset '${presetName}' not found`);
     }
 
+    const preset = VideoEffectsUtils.getEffectPresets()[presetName];
+
     return {
       transition: preset.transition,
       motion: preset.motion,
       color: preset.color,
       overlay: preset.overlay,
-      transitionDuration: 0.8,
+      transitionDuration:
+        preset.transitionDuration ?? VIDEO_CONFIG_DEFAULTS.transitionDuration,
       description: preset.description,
     };
   }
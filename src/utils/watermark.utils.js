@@ -0,0 +1,140 @@
+const fs = require("fs-extra");
+const path = require("path");
+const DirectoryUtils = require("./directory.utils");
+const {
+  WATERMARK_POSITIONS,
+  WATERMARK_DEFAULTS,
+  SUPPORTED_WATERMARK_FORMATS,
+} = require("../constants/constants");
+
+const SAFE_ASSET_NAME = /^[\w-][\w.-]*$/;
+
+class WatermarkUtils {
+  // Defaults overlaid with `watermarkOptions`; numbers may arrive as strings
+  static resolveWatermarkOptions(options = {}) {
+    const resolved = { ...WATERMARK_DEFAULTS, start: null, end: null };
+
+    if (options.position !== undefined) resolved.position = options.position;
+
+    ["offsetX", "offsetY", "scale", "opacity", "start", "end"].forEach(
+      (key) => {
+        if (options[key] === undefined || options[key] === "") return;
+        resolved[key] = parseFloat(options[key]);
+      }
+    );
+
+    return resolved;
+  }
+
+  static validateWatermarkOptions(options) {
+    const errors = [];
+
+    if (!WATERMARK_POSITIONS.includes(options.position)) {
+      errors.push(
+        `Watermark position must be one of ${WATERMARK_POSITIONS.join(", ")}`
+      );
+    }
+
+    ["offsetX", "offsetY"].forEach((key) => {
+      if (!(options[key] >= 0)) {
+        errors.push(`Watermark ${key} must be 0 or more pixels`);
+      }
+    });
+
+    if (!(options.scale > 0 && options.scale <= 1)) {
+      errors.push("Watermark scale must be greater than 0 and at most 1");
+    }
+
+    if (!(options.opacity >= 0 && options.opacity <= 1)) {
+      errors.push("Watermark opacity must be between 0 and 1");
+    }
+
+    ["start", "end"].forEach((key) => {
+      if (options[key] !== null && !(options[key] >= 0)) {
+        errors.push(
+          `Watermark ${key} must be a non-negative number of seconds`
+        );
+      }
+    });
+
+    if (
+      options.start !== null &&
+      options.end !== null &&
+      !(options.end > options.start)
+    ) {
+      errors.push("Watermark end must be after start");
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors,
+    };
+  }
+
+  /**
+   * Path of a stored brand asset in the brand assets directory. Only plain
+   * file names with a supported extension are accepted.
+   */
+  static resolveAssetPath(assetName) {
+    if (
+      typeof assetName !== "string" ||
+      !SAFE_ASSET_NAME.test(assetName) ||
+      !DirectoryUtils.hasAllowedExtension(
+        assetName,
+        SUPPORTED_WATERMARK_FORMATS
+      )
+    ) {
+      return null;
+    }
+
+    const { brandAssets } = DirectoryUtils.getUploadDirsFromEnv();
+    const assetPath = path.join(brandAssets, assetName);
+
+    return fs.pathExistsSync(assetPath) ? assetPath : null;
+  }
+
+  static getPosition(position, offsetX, offsetY) {
+    const positions = {
+      "top-left": { x: `${offsetX}`, y: `${offsetY}` },
+      "top-right": { x: `W-w-${offsetX}`, y: `${offsetY}` },
+      "bottom-left": { x: `${offsetX}`, y: `H-h-${offsetY}` },
+      "bottom-right": { x: `W-w-${offsetX}`, y: `H-h-${offsetY}` },
+      center: { x: "(W-w)/2", y: "(H-h)/2" },
+    };
+
+    return positions[position] || positions["bottom-right"];
+  }
+
+  /**
+   * Scale the logo from input `inputIndex` to a fraction of the frame
+   * width, apply its opacity and overlay it on `inputLabel`. The logo's own
+   * alpha is kept; opacity multiplies it.
+   */
+  static generateWatermarkFilter(
+    inputLabel,
+    inputIndex,
+    options,
+    width,
+    outputLabel
+  ) {
+    const logoWidth = Math.max(2, Math.round((width * options.scale) / 2) * 2);
+    const { x, y } = WatermarkUtils.getPosition(
+      options.position,
+      options.offsetX,
+      options.offsetY
+    );
+
+    const timed = options.start !== null || options.end !== null;
+    const enable = timed
+      ? `:enable='between(t,${options.start ?? 0},${options.end ?? 1e9})'`
+      : "";
+
+    return (
+      `[${inputIndex}:v]format=rgba,scale=${logoWidth}:-1,` +
+      `colorchannelmixer=aa=${options.opacity}[wm];` +
+      `${inputLabel}[wm]overlay=x=${x}:y=${y}${enable}${outputLabel}`
+    );
+  }
+}
+
+module.exports = WatermarkUtils;